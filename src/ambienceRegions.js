@@ -0,0 +1,80 @@
+// Biome ambience regions. Each region is a box over the book terrain with layered loops; the
+// player's position blends the regions (see updateAmbience in realm/audio.js), so editing this
+// file is all it takes to move, add or retune a soundscape. Use the L key to log positions in-game.
+//
+//   id, name       identifiers (name shows in the debug GUI)
+//   min, max       world-space box corners [x, y, z]
+//   fade           distance outside the box over which the region fades out
+//   weight         relative strength where regions overlap
+//   layers         loops playing while the region is active:
+//                    { clip: 'sounds/...', volume }  - a file under public/
+//                    { synth: 'wind', volume }      - generated (wind, breeze, leaves, birds, roomTone)
+//                    dayOnly: true                  - silent at night (birds)
+//
+// `fallbackRegion` fills in wherever the regions don't fully cover the player.
+
+export const fallbackRegion = 'meadow';
+
+export const ambienceRegions = [
+    {
+        id: 'riverbank',
+        name: 'Riverbank',
+        min: [-8, 25, -52],
+        max: [12, 40, 50],
+        fade: 8,
+        weight: 1.0,
+        layers: [
+            { clip: 'sounds/river-flow.mp3', volume: 0.25 },
+            { synth: 'breeze', volume: 0.2 },
+            { synth: 'birds', volume: 0.25, dayOnly: true }
+        ]
+    },
+    {
+        id: 'meadow',
+        name: 'Meadow',
+        min: [25, 24, -32],
+        max: [60, 40, 32],
+        fade: 10,
+        weight: 1.0,
+        layers: [
+            { synth: 'breeze', volume: 0.35 },
+            { synth: 'birds', volume: 0.4, dayOnly: true }
+        ]
+    },
+    {
+        id: 'castle',
+        name: 'Castle Courtyard',
+        min: [-45, 28, -25],
+        max: [-18, 45, 5],
+        fade: 5,
+        weight: 1.5, // Walls shut the outside out
+        layers: [
+            { synth: 'roomTone', volume: 0.4 },
+            { synth: 'wind', volume: 0.1 }
+        ]
+    },
+    {
+        id: 'forest',
+        name: 'Forest',
+        min: [-45, 24, 10],
+        max: [-12, 42, 50],
+        fade: 8,
+        weight: 1.0,
+        layers: [
+            { synth: 'leaves', volume: 0.35 },
+            { synth: 'birds', volume: 0.6, dayOnly: true }
+        ]
+    },
+    {
+        id: 'cliff',
+        name: 'Cliff Top',
+        min: [-75, 40, -75],
+        max: [75, 90, 75],
+        fade: 6,
+        weight: 2.0, // Up high the wind wins over whatever is below
+        layers: [
+            { synth: 'wind', volume: 0.6 },
+            { synth: 'breeze', volume: 0.2 }
+        ]
+    }
+];
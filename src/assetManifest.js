@@ -0,0 +1,12 @@
+// Textures the scene loads, all bundled under public/textures - nothing is fetched from another
+// site, so the world renders offline (kiosks) and behind firewalls. realm/world.js loads every
+// entry through the LoadingManager, so they count towards the loading bar.
+//
+//   url        file under public/
+//   repeat     wrap in both directions (tiling maps)
+//   fallback   generated stand-in swapped in when the file fails to load (see textureFallbacks
+//              in realm/world.js: 'waterNormals')
+
+export const textureManifest = {
+    waterNormals: { url: 'textures/waternormals.png', repeat: true, fallback: 'waterNormals' }
+};
@@ -0,0 +1,69 @@
+// Proximity / ambient sound sources. Each sound below is a kind of source; where they stand is
+// the scene layout's job (public/scene.json, placed with the level editor), which lists
+// { id, sound, position } entries. Every placed entry becomes one PositionalAudio managed by the
+// emitter registry in realm/audio.js; entries that use the same clip share one decoded buffer.
+//
+//   clip           file under public/
+//   bus            mixer bus ('animals', 'voice', ... see audioBusNames in realm/audio.js)
+//   refDistance, rolloff, volume    PositionalAudio settings
+//   trigger        { enter, exit } play once the player is closer than `enter`, re-arm only
+//                  after they went further than `exit` (hysteresis, no retrigger spam)
+//   ambient        { min, max, initialDelay } random background calls every min - max seconds,
+//                  the first one within initialDelay seconds (optional)
+//   pitchVariance  playback rate is randomized within 1 +- pitchVariance / 2 (optional)
+
+export const emitterSounds = {
+    fisherman: {
+        clip: 'sounds/fisherman.mp3',
+        bus: 'voice', // Ducks the ambience while he talks
+        refDistance: 5,
+        rolloff: 2,
+        volume: 1.5,
+        trigger: { enter: 8, exit: 20 }
+    },
+    oxen: {
+        clip: 'sounds/oxen.mp3',
+        bus: 'animals',
+        refDistance: 5,
+        rolloff: 2,
+        volume: 1.5,
+        trigger: { enter: 10, exit: 25 } // Slightly larger for a big animal
+    },
+    cow: {
+        clip: 'sounds/moo.mp3',
+        bus: 'animals',
+        refDistance: 5,
+        rolloff: 2,
+        volume: 1.0,
+        trigger: { enter: 8, exit: 20 },
+        ambient: { min: 40, max: 80, initialDelay: 20 },
+        pitchVariance: 0.1
+    },
+    sheep: {
+        clip: 'sounds/sheep.mp3',
+        bus: 'animals',
+        refDistance: 4,
+        rolloff: 2.5,
+        volume: 0.5, // Baa is quiet
+        trigger: { enter: 6, exit: 15 }, // Sheep are smaller, trigger closer
+        ambient: { min: 120, max: 180, initialDelay: 20 }, // Herd ambience
+        pitchVariance: 0.2
+    },
+    deer: {
+        clip: 'sounds/deer.mp3',
+        bus: 'animals',
+        refDistance: 12,
+        rolloff: 2.0,
+        volume: 0.75,
+        trigger: { enter: 12, exit: 30 },
+        ambient: { min: 60, max: 100, initialDelay: 10 } // Deer calls are sparse
+    }
+};
+
+// Sources riding on a node of the environment model (they follow its animation), attached when
+// the model loads instead of being placed by the layout
+//
+//   node           name of the node in the environment model
+export const nodeEmitters = [
+    { id: 'deer', sound: 'deer', node: 'deers' }
+];
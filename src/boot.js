@@ -0,0 +1,14 @@
+// Entry point of the stand-alone page: one realm filling #app. The scene description comes from
+// ?scene=other.json (default public/scene.json), and ?safe starts in safe mode.
+import { createRealm } from './realm.js';
+
+const params = new URLSearchParams(window.location.search);
+
+createRealm(document.getElementById('app'), {
+    scene: params.get('scene') || 'scene.json',
+    safeMode: params.has('safe'),
+    onSafeMode: () => {
+        params.set('safe', ''); // Keeps ?scene=, so safe mode reloads the same scene
+        window.location.search = params.toString();
+    }
+}).start();
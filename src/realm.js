@@ -0,0 +1,362 @@
+// Embedding API: createRealm(container, options) builds one self-contained realm - its own
+// renderer, scene, audio listener, physics and UI - inside `container`. A page can host several
+// side by side and dispose of one without reloading. boot.js is the stand-alone page's use of it.
+//
+//   options.scene       scene description: a URL (default 'scene.json') or an already parsed config
+//                       object; validated either way (see sceneConfig.js)
+//   options.safeMode    skip the optional extras: emitter and ambience sounds
+//   options.onSafeMode  called by the loading screen's Safe Mode button (hidden without it)
+//
+// The returned realm:
+//   ready               resolves with the realm once its subsystems are built. A scene that can't
+//                       be used or built is listed on the loading screen instead (whatever was
+//                       built is freed again), and Retry loads it again
+//   start(), pause()    run or stop the frame loop; a paused realm is silent
+//   dispose()           stops the realm for good: cancels its timers and listeners, disconnects
+//                       its audio, frees its GPU and physics memory and removes it from the page
+//   running, disposed   whether the frame loop runs / the realm has been disposed
+//   root                the element everything is mounted in
+//   world, audio, lighting, water, input, player, ui
+//                       the subsystems (src/realm/), set while `ready` resolves. Each is built by a
+//                       create* factory from the realm and the subsystems before it, in this order
+import './style.css';
+import { loadSceneConfig, validateSceneConfig } from './sceneConfig.js';
+import { createWorld } from './realm/world.js';
+import { createAudioSystem } from './realm/audio.js';
+import { createLighting } from './realm/lighting.js';
+import { createWaterSystem } from './realm/water.js';
+import { createInput } from './realm/input.js';
+import { createPlayer } from './realm/player.js';
+import { createUI } from './realm/ui.js';
+
+const loadingScreenMarkup = `
+    <div class="loading-screen">
+        <div class="loader-content">
+            <h1 class="loading-title">MEDIEVAL REALM</h1>
+
+            <div class="loader-container">
+                <div class="loading-bar-container">
+                    <div class="loading-bar"></div>
+                </div>
+                <div class="loading-text">Loading Resources...</div>
+                <ul class="loading-assets"></ul>
+            </div>
+
+            <div class="loading-error" style="display: none;">
+                <p>Some resources failed to load:</p>
+                <ul class="loading-error-list"></ul>
+                <div class="loading-error-actions">
+                    <button class="retry-button">RETRY</button>
+                    <button class="safe-mode-button">SAFE MODE</button>
+                </div>
+            </div>
+
+            <div class="start-container" style="display: none;">
+                <p class="headphone-notice">🎧 Best experienced with headphones</p>
+                <button class="enter-button">ENTER WORLD</button>
+            </div>
+        </div>
+    </div>
+`;
+
+// Fixed-step simulation (see frame)
+const SIM_STEP = 1 / 60;
+const maxFrameTime = 0.25; // Longer frames are dropped so a stall doesn't trigger hundreds of catch-up steps
+
+// Reverse build order (see teardown)
+const subsystemNames = ['ui', 'player', 'input', 'water', 'lighting', 'audio', 'world'];
+
+export function createRealm(container, options = {}) {
+    const scene = options.scene || 'scene.json';
+    const sceneLabel = typeof scene === 'string' ? scene : 'options.scene';
+
+    const root = document.createElement('div');
+    root.className = 'realm';
+    root.tabIndex = 0; // Focusable, so keyboard input goes to this realm only (see input.js)
+    root.innerHTML = loadingScreenMarkup;
+    container.appendChild(root);
+
+    const errorPanel = root.querySelector('.loading-error');
+    const errorHeading = errorPanel.querySelector('p');
+    const assetErrorHeading = errorHeading.textContent;
+    const safeModeButton = root.querySelector('.safe-mode-button');
+    safeModeButton.addEventListener('click', () => options.onSafeMode());
+    if (!options.onSafeMode || options.safeMode) safeModeButton.style.display = 'none';
+
+    const listeners = []; // { target, type, handler, options } added through listen()
+    const timers = new Set(); // Pending timeout() ids
+    let resizeObserver = null;
+    let resolveReady;
+    let frameRequest = null;
+    let running = false;
+    let built = false;
+    let disposed = false;
+    let simAccumulator = 0;
+    let simTime = 0;
+
+    const realm = {
+        root,
+        sceneConfig: null,
+        safeMode: Boolean(options.safeMode),
+        ready: new Promise((resolve) => { resolveReady = resolve; }),
+        get running() { return running; },
+        get disposed() { return disposed; },
+        listen,
+        timeout,
+        start,
+        pause,
+        dispose
+    };
+
+    // Retries the scene description; once it's in, the same button retries failed assets (world.js)
+    root.querySelector('.retry-button').addEventListener('click', () => {
+        if (!realm.sceneConfig) loadScene();
+    });
+    loadScene();
+
+    return realm;
+
+    // --- SCENE LOADING ---
+
+    function loadScene() {
+        errorPanel.style.display = 'none';
+        errorHeading.textContent = assetErrorHeading;
+        root.querySelector('.loading-text').textContent = 'Loading scene description...';
+
+        const loading = typeof scene === 'string' ? loadSceneConfig(scene) : Promise.resolve(scene).then(checkSceneConfig);
+        loading.then((config) => {
+            if (disposed) return;
+            realm.sceneConfig = config;
+            build();
+        }, showSceneError);
+    }
+
+    // A config passed in directly gets the same checks as a loaded file, on a copy of its own
+    // (the subsystems edit parts of it in place, and another realm may use the same object)
+    function checkSceneConfig(config) {
+        const problems = validateSceneConfig(config);
+        if (problems.length > 0) {
+            const error = new Error(`options.scene has ${problems.length} problem(s)`);
+            error.problems = problems;
+            throw error;
+        }
+        return structuredClone(config);
+    }
+
+    function showSceneError(error) {
+        if (disposed) return;
+        console.error('Unusable scene description:', error);
+        showError(`The scene description (${sceneLabel}) can't be used:`, error);
+        root.querySelector('.loading-text').textContent = 'Scene description failed';
+    }
+
+    // Error panel with the error's problems (or its message) listed under `heading`. Retry loads
+    // the scene again
+    function showError(heading, error) {
+        errorHeading.textContent = heading;
+        root.querySelector('.loading-error-list').replaceChildren(...(error.problems || [error.message]).map((problem) => {
+            const item = document.createElement('li');
+            item.textContent = problem;
+            return item;
+        }));
+        safeModeButton.style.display = 'none'; // Safe mode loads the same scene
+        errorPanel.style.display = 'block';
+    }
+
+    // --- SUBSYSTEMS ---
+
+    function build() {
+        const loadingScreenElements = [...root.children];
+        try {
+            realm.world = createWorld(realm);
+            realm.audio = createAudioSystem(realm);
+            realm.lighting = createLighting(realm);
+            realm.water = createWaterSystem(realm);
+            realm.input = createInput(realm);
+            realm.player = createPlayer(realm);
+            realm.ui = createUI(realm);
+
+            // Shadows, bloom, MSAA and resolution for the tier the world resolved (foam and mist already match)
+            realm.world.applyQualityTier(realm.world.quality.active);
+
+            realm.ui.applySceneLayout(realm.sceneConfig);
+            realm.ui.restoreTuning();
+        } catch (error) {
+            // Free whatever was built (renderer, physics, audio graph) and clear the page for Retry,
+            // which starts over from the scene description
+            console.error('Realm could not be built:', error);
+            teardown();
+            subsystemNames.forEach((name) => { realm[name] = undefined; });
+            [...root.children].filter(element => !loadingScreenElements.includes(element)).forEach(element => element.remove());
+            root.querySelector('.loading-assets').replaceChildren();
+            realm.sceneConfig = null;
+            showError(`The scene (${sceneLabel}) could not be built:`, error);
+            root.querySelector('.loading-text').textContent = 'Build failed';
+            return;
+        }
+
+        // The container decides the size; the window only matters for devicePixelRatio changes
+        resizeObserver = new ResizeObserver(() => realm.world.resize());
+        resizeObserver.observe(root);
+        listen(window, 'resize', () => realm.world.resize());
+
+        built = true;
+        if (running) {
+            realm.world.clock.getDelta(); // Loading isn't simulation time
+            frameRequest = requestAnimationFrame(frame);
+        }
+        resolveReady(realm);
+    }
+
+    // Adds a listener outside the realm's root (document, window) that dispose() removes again
+    function listen(target, type, handler, listenerOptions) {
+        target.addEventListener(type, handler, listenerOptions);
+        listeners.push({ target, type, handler, options: listenerOptions });
+    }
+
+    // setTimeout that dispose() cancels if it hasn't fired yet
+    function timeout(handler, delay) {
+        const id = window.setTimeout(() => {
+            timers.delete(id);
+            handler();
+        }, delay);
+        timers.add(id);
+        return id;
+    }
+
+    // --- FRAME LOOP ---
+
+    function start() {
+        if (running || disposed) return;
+        running = true;
+        if (!built) return; // The loop starts once the subsystems are built
+
+        // Paused time doesn't count: emitter schedules, wind and gusts run on the clock's elapsed time
+        realm.world.clock.elapsedTime -= realm.world.clock.getDelta();
+        realm.audio.setAudioPaused(false);
+        frameRequest = requestAnimationFrame(frame);
+    }
+
+    function pause() {
+        if (!running) return;
+        running = false;
+        cancelAnimationFrame(frameRequest);
+        frameRequest = null;
+        if (!built) return;
+
+        if (realm.input.controls.isLocked) realm.input.controls.unlock(); // Another realm may hold the pointer
+        realm.audio.setAudioPaused(true);
+    }
+
+    function frame() {
+        frameRequest = requestAnimationFrame(frame);
+        const { world, audio, lighting, water, player, ui } = realm;
+        const { clock } = world;
+
+        // --- PROXIMITY / AMBIENT AUDIO ---
+        audio.updateEmitters(clock.elapsedTime);
+        ui.updateTriggerZones();
+        audio.updateAudioDucking();
+
+        // Update Cinematic Shader Time (for film grain)
+        world.cinematicPass.uniforms['time'].value = performance.now() * 0.001;
+
+        // Update River Sound Position (Follow Player along the river's centerline)
+        if (water.riverSound && player.model) {
+            // Closest centerline point to the player, clamped to the river's extent
+            const along = water.sampleRiverAt(player.model.position).along;
+            water.riverSound.position.copy(water.riverFrameAt(along).position);
+        }
+
+        // Update Stars Twinkle
+        if (lighting.stars && lighting.stars.visible) {
+            lighting.stars.material.uniforms.time.value = performance.now() * 0.001;
+        }
+
+        // --- FIXED-STEP SIMULATION ---
+        // Movement, gravity, jumps and water particles advance in SIM_STEP increments so they
+        // behave the same at 20 FPS and 144 FPS. Rendering interpolates between the last two steps.
+        let frameTime = clock.getDelta();
+        // Only guard against huge stalls (tab switch, environment regeneration)
+        if (frameTime > maxFrameTime) frameTime = maxFrameTime;
+
+        world.updateQualityBenchmark(frameTime);
+        world.updateDynamicResolution(frameTime);
+
+        player.restoreSimulatedPose();
+        simAccumulator += frameTime;
+        while (simAccumulator >= SIM_STEP) {
+            player.storePreviousPose();
+            water.stepWaterParticles(simTime);
+            lighting.stepRain(SIM_STEP);
+            player.simulate(SIM_STEP);
+            simTime += SIM_STEP;
+            simAccumulator -= SIM_STEP;
+        }
+        const alpha = simAccumulator / SIM_STEP;
+        player.applyInterpolatedPose(alpha);
+
+        // Update Water Surface (from water.html) - visual only, driven by simulation time
+        water.updateWater(simTime + alpha * SIM_STEP);
+
+        if (player.mixer) player.mixer.update(frameTime);
+        player.updateFootsteps(frameTime); // After the mixer so clip times are current
+        if (world.envMixer) world.envMixer.update(frameTime);
+
+        // Advance the clock once the world is up (applyPreset in onLoad sets the starting hour)
+        // Weather applies on top of the time-of-day lighting, so it must run after it
+        if (world.gameActive) {
+            lighting.updateDayNight(frameTime);
+            lighting.updateWeather(frameTime);
+            lighting.updateWind(clock.elapsedTime);
+            lighting.updateClouds(frameTime);
+            audio.updateAmbience(frameTime);
+            audio.updateAudioEnvironment(clock.elapsedTime);
+        }
+
+        // Advance combo / hit windows after the mixer so clip time is current
+        player.updateCombat();
+
+        if (player.model && player.physicsWorld) {
+            // Update Light (Shadow Camera Only) - Direction comes from the sun/moon arc (updateDayNight)
+            // We keep the shadow camera following the player
+            const { dirLight, lightDirection } = lighting;
+            dirLight.position.copy(player.model.position).addScaledVector(lightDirection, 20);
+            dirLight.target.position.copy(player.model.position);
+            dirLight.target.updateMatrixWorld();
+
+            // Camera follows the interpolated pose, not the raw simulation state
+            if (!ui.editor.active) player.updateCameraFollow(frameTime);
+        }
+        if (ui.editor.active) ui.updateEditorCamera(frameTime);
+
+        world.composer.render(); // Use Composer for Post-Processing
+    }
+
+    // --- TEARDOWN ---
+
+    function dispose() {
+        if (disposed) return;
+        pause();
+        disposed = true;
+        teardown();
+        root.remove(); // Loading screen, canvas, buttons, panels and the GUI with it
+    }
+
+    // Cancels timers and listeners and disposes of the subsystems built so far. Reverse build
+    // order, so nothing is torn down while a later subsystem still uses it. The world goes last:
+    // it frees whatever is left in the scene, then the renderer
+    function teardown() {
+        timers.forEach(id => window.clearTimeout(id));
+        timers.clear();
+        if (resizeObserver) resizeObserver.disconnect();
+        listeners.forEach(({ target, type, handler, options: listenerOptions }) => {
+            target.removeEventListener(type, handler, listenerOptions);
+        });
+        listeners.length = 0;
+
+        subsystemNames.forEach((name) => {
+            if (realm[name]) realm[name].dispose();
+        });
+    }
+}
@@ -0,0 +1,689 @@
+import * as THREE from 'three';
+import RAPIER from '@dimforge/rapier3d-compat';
+import { emitterSounds, nodeEmitters } from '../audioEmitters.js';
+import { ambienceRegions, fallbackRegion } from '../ambienceRegions.js';
+
+// Audio: the listener, mixer buses with reverb and occlusion, sounds attached to the environment
+// model, the layout's emitters and the biome ambience. Created right after the world; sources that
+// need the player's physics (occlusion rays) only run once the player exists.
+
+export function createAudioSystem(realm) {
+    const { safeMode } = realm;
+    const { scene, camera, clock, loadTracked } = realm.world;
+
+    // --- AUDIO LISTENER ---
+    const listener = new THREE.AudioListener();
+    camera.add( listener );
+
+    // --- AUDIO MIXER ---
+    // Every sound is routed into one bus (routeToBus): sound -> bus volume -> bus duck -> listener.
+    // Levels persist in localStorage; the panel opens from the audio button.
+    const audioBusNames = {
+        ambience: 'Ambience',
+        animals: 'Animals',
+        water: 'Water',
+        player: 'Player SFX',
+        voice: 'Music & Voice'
+    };
+    const audioMixerSettings = {
+        master: 1.0,
+        muted: false,
+        buses: { ambience: 1.0, animals: 1.0, water: 1.0, player: 1.0, voice: 1.0 }
+    };
+    const audioMixer = {
+        storageKey: 'paladin-audio-mixer',
+        duckedBuses: ['ambience', 'water'], // Pulled down while anything on the voice bus plays
+        duckLevel: 0.3,
+        duckAttack: 0.15,   // Seconds (time constant)
+        duckRelease: 0.8,
+        ducked: false,
+        paused: false // Silenced while the realm is paused, without touching the saved mute setting
+    };
+
+    // --- AUDIO ENVIRONMENT (Reverb & Occlusion) ---
+    // Each bus also feeds a reverb send. Two generated impulse responses (a tight room and a long
+    // hall) are blended from rays cast around the listener: open field = almost dry, under the
+    // bridge = short slap, inside the castle = long tail. Positional sources blocked by terrain
+    // get low-passed (updateAudioEnvironment).
+    const audioEnvironment = {
+        sends: { ambience: 0.3, animals: 1.0, water: 0.7, player: 1.0, voice: 1.0 },
+        probeRange: 20,          // Rays longer than this count as open sky
+        probeInterval: 0.2,      // Seconds between surroundings probes
+        openWet: 0.08,           // Hall tail even in the open (echo off the hills)
+        enclosedWet: 0.7,
+        occlusionInterval: 0.1,
+        occlusionCutoff: 700,    // Low-pass Hz for a fully blocked source
+        occlusionGain: 0.5,      // Extra attenuation for a fully blocked source
+        occlusionMaxDistance: 80,
+        // Runtime
+        enclosure: 0,            // 0 open - 1 fully surrounded
+        size: 0,                 // 0 tight - 1 large (average hit distance)
+        lastProbe: -Infinity,
+        lastOcclusion: -Infinity
+    };
+    const reverb = {
+        input: listener.context.createGain(),
+        small: listener.context.createConvolver(),
+        large: listener.context.createConvolver(),
+        smallWet: listener.context.createGain(),
+        largeWet: listener.context.createGain()
+    };
+    reverb.small.buffer = createImpulseResponse(0.6, 4.0);
+    reverb.large.buffer = createImpulseResponse(2.4, 2.5);
+    reverb.input.connect(reverb.small);
+    reverb.input.connect(reverb.large);
+    reverb.small.connect(reverb.smallWet);
+    reverb.large.connect(reverb.largeWet);
+    reverb.smallWet.connect(listener.getInput());
+    reverb.largeWet.connect(listener.getInput());
+    reverb.smallWet.gain.value = 0;
+    reverb.largeWet.gain.value = audioEnvironment.openWet;
+
+    // 8 horizontal rays, 4 raised diagonals and straight up
+    const audioProbeDirections = [];
+    for (let i = 0; i < 8; i++) {
+        const angle = i / 8 * Math.PI * 2;
+        audioProbeDirections.push(new THREE.Vector3(Math.sin(angle), 0, Math.cos(angle)));
+    }
+    for (let i = 0; i < 4; i++) {
+        const angle = (i / 4 + 0.125) * Math.PI * 2;
+        audioProbeDirections.push(new THREE.Vector3(Math.sin(angle), 1, Math.cos(angle)).normalize());
+    }
+    audioProbeDirections.push(new THREE.Vector3(0, 1, 0));
+
+    const _occlusionSource = new THREE.Vector3();
+    const _occlusionDirection = new THREE.Vector3();
+
+    const audioBuses = {}; // name -> { volume: GainNode, duck: GainNode, send: GainNode, sounds: [] }
+    Object.keys(audioBusNames).forEach((name) => {
+        const volume = listener.context.createGain();
+        const duck = listener.context.createGain();
+        const send = listener.context.createGain();
+        volume.connect(duck);
+        duck.connect(listener.getInput());
+        duck.connect(send);
+        send.gain.value = audioEnvironment.sends[name];
+        send.connect(reverb.input);
+        audioBuses[name] = { volume, duck, send, sounds: [] };
+    });
+    loadAudioMixerSettings();
+
+    // Behind loadAudioBuffer, which every recorded clip loads through (tracked on the loading screen)
+    const audioLoader = new THREE.AudioLoader();
+
+    // --- AUDIO EMITTER REGISTRY ---
+    // Fisherman, animals etc. are emitterSounds from the audioEmitters config. The scene layout
+    // places free-standing ones (placeEmitter), node-attached ones are added when the environment
+    // model loads (attachNodeEmitters).
+    const audioBufferCache = new Map(); // clip url -> Promise<AudioBuffer>, so each file decodes once
+    const emitters = []; // { config, sound, armed, nextAmbient, helper (layout emitters) }
+    const _emitterPos = new THREE.Vector3();
+
+    // --- BIOME AMBIENCE ---
+    // Regions and their loops live in ambienceRegions.js. Every layer is a looping, non-positional
+    // sound on the ambience bus whose volume follows the blended region weights (updateAmbience).
+    const ambienceParams = {
+        smoothing: 1.5 // Seconds for layer volumes to settle after a weight change
+    };
+    const ambienceBoxes = new Map(); // region id -> Box3
+    const ambienceWeights = {};      // region id -> current blend weight
+    const ambienceLayers = [];       // { region, layer, sound, volume }
+    const ambienceSynthBuffers = new Map(); // synth name -> AudioBuffer (generated once)
+
+    // Generated loops: buffer factory + the filter each playing layer gets
+    const ambienceSynths = {
+        wind:     { create: () => createNoiseBuffer(6, true), filter: { type: 'lowpass', frequency: 500 } },
+        breeze:   { create: () => createNoiseBuffer(5, false), filter: { type: 'bandpass', frequency: 800, Q: 0.5 } },
+        leaves:   { create: () => createRustleBuffer(6), filter: { type: 'bandpass', frequency: 4000, Q: 0.8 } },
+        birds:    { create: () => createBirdsongBuffer(8) },
+        roomTone: { create: () => createNoiseBuffer(5, true), filter: { type: 'lowpass', frequency: 200 } }
+    };
+
+    ambienceRegions.forEach((region) => {
+        ambienceBoxes.set(region.id, new THREE.Box3(new THREE.Vector3().fromArray(region.min), new THREE.Vector3().fromArray(region.max)));
+        ambienceWeights[region.id] = 0;
+        region.layers.forEach(layer => ambienceLayers.push(createAmbienceLayer(region, layer)));
+    });
+
+    // White noise, or brown noise (integrated, deeper) with an optional decay envelope
+    function createNoiseBuffer(seconds, brown, decay = 0) {
+        const context = listener.context;
+        const length = Math.floor(context.sampleRate * seconds);
+        const buffer = context.createBuffer(1, length, context.sampleRate);
+        const data = buffer.getChannelData(0);
+
+        let last = 0;
+        for (let i = 0; i < length; i++) {
+            const white = Math.random() * 2 - 1;
+            if (brown) {
+                last = (last + 0.02 * white) / 1.02;
+                data[i] = last * 3.5;
+            } else {
+                data[i] = white;
+            }
+            if (decay > 0) data[i] *= Math.exp(-decay * i / context.sampleRate);
+        }
+
+        // Fade the loop seam
+        const fade = Math.min(length / 2, Math.floor(context.sampleRate * 0.05));
+        for (let i = 0; i < fade; i++) {
+            data[i] *= i / fade;
+            data[length - 1 - i] *= i / fade;
+        }
+        return buffer;
+    }
+
+    // --- AUDIO MIXER IMPLEMENTATION FUNCTIONS ---
+
+    // Sends a sound into a mixer bus instead of straight into the listener
+    function routeToBus(sound, busName) {
+        const bus = audioBuses[busName];
+        sound.gain.disconnect();
+        sound.gain.connect(bus.volume);
+        bus.sounds.push(sound);
+        sound.userData.bus = busName;
+        return sound;
+    }
+
+    function applyAudioMixerSettings() {
+        listener.setMasterVolume(audioMixerSettings.muted || audioMixer.paused ? 0 : audioMixerSettings.master);
+        Object.entries(audioBuses).forEach(([name, bus]) => {
+            bus.volume.gain.setTargetAtTime(audioMixerSettings.buses[name], listener.context.currentTime, 0.05);
+        });
+    }
+
+    function setAudioPaused(paused) {
+        audioMixer.paused = paused;
+        applyAudioMixerSettings();
+    }
+
+    function loadAudioMixerSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(audioMixer.storageKey));
+            if (saved) {
+                if (typeof saved.master === 'number') audioMixerSettings.master = saved.master;
+                if (typeof saved.muted === 'boolean') audioMixerSettings.muted = saved.muted;
+                Object.keys(audioMixerSettings.buses).forEach((name) => {
+                    if (saved.buses && typeof saved.buses[name] === 'number') {
+                        audioMixerSettings.buses[name] = saved.buses[name];
+                    }
+                });
+            }
+        } catch (error) {
+            console.warn('Ignoring unreadable audio mixer settings:', error);
+        }
+        applyAudioMixerSettings();
+    }
+
+    function saveAudioMixerSettings() {
+        try {
+            localStorage.setItem(audioMixer.storageKey, JSON.stringify(audioMixerSettings));
+        } catch (error) {
+            console.warn('Could not save audio mixer settings:', error);
+        }
+        realm.ui.updateAudioButton();
+    }
+
+    // Ambience dips while a voice line (fisherman) plays
+    function updateAudioDucking() {
+        const voiceActive = audioBuses.voice.sounds.some(sound => sound.isPlaying);
+        if (voiceActive === audioMixer.ducked) return;
+
+        audioMixer.ducked = voiceActive;
+        const target = voiceActive ? audioMixer.duckLevel : 1.0;
+        const timeConstant = voiceActive ? audioMixer.duckAttack : audioMixer.duckRelease;
+        audioMixer.duckedBuses.forEach((name) => {
+            audioBuses[name].duck.gain.setTargetAtTime(target, listener.context.currentTime, timeConstant);
+        });
+    }
+
+    // --- AUDIO ENVIRONMENT IMPLEMENTATION FUNCTIONS ---
+
+    // Stereo exponentially decaying noise - a cheap but convincing reverb tail
+    function createImpulseResponse(seconds, decay) {
+        const context = listener.context;
+        const length = Math.floor(context.sampleRate * seconds);
+        const buffer = context.createBuffer(2, length, context.sampleRate);
+        for (let channel = 0; channel < 2; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+            }
+        }
+        return buffer;
+    }
+
+    function updateAudioEnvironment(time) {
+        const { physicsWorld, playerBody } = realm.player;
+        if (!physicsWorld) return;
+        const env = audioEnvironment;
+        const now = listener.context.currentTime;
+
+        // Surroundings -> reverb mix
+        if (time - env.lastProbe > env.probeInterval) {
+            env.lastProbe = time;
+
+            let hits = 0;
+            let hitDistance = 0;
+            audioProbeDirections.forEach((direction, i) => {
+                const ray = new RAPIER.Ray(camera.position, direction);
+                const hit = physicsWorld.castRay(ray, env.probeRange, true, undefined, undefined, undefined, playerBody);
+                if (hit) {
+                    const roof = i === audioProbeDirections.length - 1;
+                    hits += roof ? 2 : 1; // Something overhead (bridge, gate) matters most
+                    hitDistance += hit.timeOfImpact;
+                }
+            });
+            const averageDistance = hits > 0 ? hitDistance / hits : env.probeRange;
+            env.enclosure = Math.min(1, hits / (audioProbeDirections.length + 1));
+            env.size = Math.min(1, averageDistance / env.probeRange * 2);
+
+            // Open air keeps a faint hall tail; enclosed spaces split between room and hall by size
+            const wet = env.openWet + (env.enclosedWet - env.openWet) * env.enclosure;
+            reverb.smallWet.gain.setTargetAtTime(wet * env.enclosure * (1 - env.size), now, 0.5);
+            reverb.largeWet.gain.setTargetAtTime(env.openWet * (1 - env.enclosure) + wet * env.enclosure * env.size, now, 0.5);
+        }
+
+        // Occlusion -> low-pass blocked sources
+        if (time - env.lastOcclusion > env.occlusionInterval) {
+            env.lastOcclusion = time;
+
+            Object.entries(audioBuses).forEach(([name, bus]) => {
+                if (name === 'player') return; // Attached to the Paladin, never blocked
+                bus.sounds.forEach((sound) => {
+                    if (!sound.panner || !sound.isPlaying) return;
+                    updateOcclusion(sound, now);
+                });
+            });
+        }
+    }
+
+    function updateOcclusion(sound, now) {
+        const { physicsWorld, playerBody, colliderMeshes } = realm.player;
+        const env = audioEnvironment;
+        sound.getWorldPosition(_occlusionSource);
+        _occlusionDirection.subVectors(_occlusionSource, camera.position);
+        const distance = _occlusionDirection.length();
+
+        let blocked = false;
+        if (distance > 1 && distance < env.occlusionMaxDistance) {
+            _occlusionDirection.divideScalar(distance);
+            const ray = new RAPIER.Ray(camera.position, _occlusionDirection);
+            // Stop short of the source and ignore the model it's attached to (windmill wheel, flag...)
+            const hit = physicsWorld.castRay(ray, distance - 1, true, undefined, undefined, undefined, playerBody, (collider) => {
+                const mesh = colliderMeshes.get(collider.handle);
+                return !(mesh && sound.parent && sound.parent !== scene && isDescendantOf(mesh, sound.parent));
+            });
+            blocked = hit !== null;
+        }
+
+        // Filter nodes are added the first time a source is checked
+        let occlusion = sound.userData.occlusion;
+        if (!occlusion) {
+            const filter = listener.context.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = 20000;
+            const gain = listener.context.createGain();
+            occlusion = sound.userData.occlusion = { filter, gain, blocked: false };
+            sound.setFilters([...sound.getFilters(), filter, gain]);
+        }
+        if (blocked === occlusion.blocked) return;
+
+        occlusion.blocked = blocked;
+        occlusion.filter.frequency.setTargetAtTime(blocked ? env.occlusionCutoff : 20000, now, 0.15);
+        occlusion.gain.gain.setTargetAtTime(blocked ? env.occlusionGain : 1, now, 0.15);
+    }
+
+    function isDescendantOf(object, ancestor) {
+        for (let node = object; node; node = node.parent) {
+            if (node === ancestor) return true;
+        }
+        return false;
+    }
+
+    // --- MODEL SOUNDS ---
+
+    // Called for every node of the environment model as it loads: loops on the mills and flags,
+    // plus the emitters that ride on a node
+    function attachModelSounds(child) {
+        // --- AUDIO: WINDMILL ---
+        // Moved outside isMesh check because 'Mill-wind-wheel' might be a Group, not a Mesh
+        if (child.name === 'Mill-wind-wheel') {
+            const windSound = routeToBus( new THREE.PositionalAudio( listener ), 'ambience' );
+            loadAudioBuffer('sounds/windmill.mp3').then((buffer) => {
+                windSound.setBuffer( buffer );
+                windSound.setRefDistance( 10 );
+                windSound.setRolloffFactor( 2 ); 
+                windSound.setLoop( true );
+                if (buffer.duration > 1.0) {
+                    windSound.setLoopStart(0.5);
+                    windSound.setLoopEnd(buffer.duration - 0.5); 
+                }
+                windSound.setVolume( 1.5 );
+                windSound.play();
+            });
+            child.add( windSound );
+            realm.lighting.windSounds.push({ sound: windSound, baseVolume: 1.5 });
+        }
+
+        // --- AUDIO: WATERMILL ---
+        if (child.name === 'Mill-water-wheel') {
+            const wmSound = routeToBus( new THREE.PositionalAudio( listener ), 'ambience' );
+            loadAudioBuffer('sounds/watermill.mp3').then((buffer) => {
+                wmSound.setBuffer( buffer );
+                wmSound.setRefDistance( 8 ); // Slightly lower ref distance for water
+                wmSound.setRolloffFactor( 2.5 ); 
+                wmSound.setLoop( true );
+                if (buffer.duration > 1.0) {
+                    wmSound.setLoopStart(0.5);
+                    wmSound.setLoopEnd(buffer.duration - 0.5); 
+                }
+                wmSound.setVolume( 1.2 );
+                wmSound.play();
+            });
+            child.add( wmSound );
+        }
+
+        // --- AUDIO: EMITTERS ATTACHED TO NODES (Deer...) ---
+        attachNodeEmitters(child);
+
+        // --- AUDIO: FLAGS ---
+        if (child.name === 'flag' || child.name === 'flag-second') {
+            const flagSound = routeToBus( new THREE.PositionalAudio( listener ), 'ambience' );
+            loadAudioBuffer('sounds/flag.mp3').then((buffer) => {
+                flagSound.setBuffer( buffer );
+                flagSound.setRefDistance( 5 ); 
+                flagSound.setRolloffFactor( 2 ); 
+                flagSound.setLoop( true ); // Loop continuously
+                if (buffer.duration > 1.0) {
+                    flagSound.setLoopStart(0.5);
+                    flagSound.setLoopEnd(buffer.duration - 0.5); 
+                }
+                flagSound.setVolume( 1.5 ); 
+                // Random start time to avoid phasing if identical flags
+                realm.timeout(() => {
+                    if(!flagSound.isPlaying) flagSound.play();
+                }, Math.random() * 2000);
+            });
+            child.add( flagSound );
+            realm.lighting.windSounds.push({ sound: flagSound, baseVolume: 1.5 });
+        }
+    }
+
+    // --- AUDIO EMITTER IMPLEMENTATION FUNCTIONS ---
+
+    function loadAudioBuffer(url) {
+        if (!audioBufferCache.has(url)) {
+            // Stays pending if the file fails: the loading screen reports it and Retry can still resolve it
+            audioBufferCache.set(url, new Promise((resolve) => {
+                loadTracked(audioLoader, url, { optional: true }, resolve);
+            }));
+        }
+        return audioBufferCache.get(url);
+    }
+
+    // Layout entry { id, sound, position } -> full emitter config
+    function emitterConfig(entry) {
+        return { ...emitterSounds[entry.sound], ...entry };
+    }
+
+    function createEmitter(config) {
+        const sound = routeToBus(new THREE.PositionalAudio(listener), config.bus);
+        const emitter = {
+            config,
+            sound,
+            armed: true,
+            nextAmbient: config.ambient ? clock.elapsedTime + Math.random() * config.ambient.initialDelay : Infinity
+        };
+        emitters.push(emitter);
+
+        loadAudioBuffer(config.clip).then((buffer) => {
+            sound.setBuffer(buffer);
+            sound.setRefDistance(config.refDistance);
+            sound.setRolloffFactor(config.rolloff);
+            sound.setLoop(false);
+            sound.setVolume(config.volume);
+        });
+        return emitter;
+    }
+
+    function attachNodeEmitters(node) {
+        if (safeMode) return;
+        nodeEmitters.forEach((entry) => {
+            if (entry.node === node.name) node.add(createEmitter(emitterConfig(entry)).sound);
+        });
+    }
+
+    // Free-standing emitter from the scene layout, with its level editor handle
+    function placeEmitter(entry) {
+        const emitter = createEmitter(emitterConfig(entry));
+        emitter.sound.position.fromArray(entry.position);
+        scene.add(emitter.sound);
+        emitter.helper = realm.ui.createEditorHandle('emitter', emitter, new THREE.OctahedronGeometry(0.4), realm.ui.emitterHandleColors[emitter.config.bus] || 0xffffff);
+        emitter.helper.position.copy(emitter.sound.position);
+        return emitter;
+    }
+
+    function removeEmitter(emitter) {
+        const { sound, config } = emitter;
+        if (sound.isPlaying) sound.stop();
+        sound.removeFromParent();
+        sound.gain.disconnect();
+        const busSounds = audioBuses[config.bus].sounds;
+        busSounds.splice(busSounds.indexOf(sound), 1);
+        emitters.splice(emitters.indexOf(emitter), 1);
+        if (emitter.helper) realm.ui.disposeEditorHandle(emitter.helper);
+    }
+
+    function playEmitter(emitter) {
+        const { sound, config } = emitter;
+        if (sound.isPlaying) return;
+        if (config.pitchVariance) {
+            sound.setPlaybackRate(1 + (Math.random() - 0.5) * config.pitchVariance);
+        }
+        sound.play();
+    }
+
+    function updateEmitters(time) {
+        const { model } = realm.player;
+        emitters.forEach((emitter) => {
+            const { sound, config } = emitter;
+            if (!sound.buffer) return;
+
+            // Random background calls
+            if (time >= emitter.nextAmbient) {
+                playEmitter(emitter);
+                emitter.nextAmbient = time + config.ambient.min + Math.random() * (config.ambient.max - config.ambient.min);
+            }
+
+            // Proximity trigger with hysteresis
+            if (!model || !config.trigger) return;
+            const dist = model.position.distanceTo(sound.getWorldPosition(_emitterPos));
+            if (emitter.armed && dist < config.trigger.enter) {
+                // Player entered zone -> Play Sound
+                playEmitter(emitter);
+                emitter.armed = false;
+            } else if (!emitter.armed && dist > config.trigger.exit) {
+                // Player left zone -> Reset Trigger
+                emitter.armed = true;
+            }
+        });
+    }
+
+    // --- BIOME AMBIENCE IMPLEMENTATION FUNCTIONS ---
+
+    function createAmbienceLayer(region, layer) {
+        const sound = routeToBus(new THREE.Audio(listener), 'ambience');
+        sound.setLoop(true);
+        sound.setVolume(0);
+        const entry = { region, layer, sound, volume: 0 };
+
+        const start = (buffer) => {
+            sound.setBuffer(buffer);
+            sound.offset = Math.random() * buffer.duration; // Layers sharing a buffer stay out of phase
+            sound.play();
+        };
+
+        if (layer.clip) {
+            if (safeMode) return entry; // Recorded loops are optional, the synth layers still play
+            loadAudioBuffer(layer.clip).then(start);
+        } else {
+            const synth = ambienceSynths[layer.synth];
+            if (!synth) {
+                console.warn(`Unknown ambience synth '${layer.synth}' in '${region.id}'`);
+                return entry;
+            }
+            if (!ambienceSynthBuffers.has(layer.synth)) {
+                ambienceSynthBuffers.set(layer.synth, synth.create());
+            }
+            if (synth.filter) {
+                const filter = listener.context.createBiquadFilter();
+                filter.type = synth.filter.type;
+                filter.frequency.value = synth.filter.frequency;
+                if (synth.filter.Q) filter.Q.value = synth.filter.Q;
+                sound.setFilter(filter);
+            }
+            start(ambienceSynthBuffers.get(layer.synth));
+        }
+        return entry;
+    }
+
+    function updateAmbience(delta) {
+        const { model } = realm.player;
+        if (!model) return;
+
+        // Full weight inside a box, fading to nothing `fade` units outside it
+        let total = 0;
+        ambienceRegions.forEach((region) => {
+            const distance = ambienceBoxes.get(region.id).distanceToPoint(model.position);
+            const weight = region.weight * Math.max(0, 1 - distance / region.fade);
+            ambienceWeights[region.id] = weight;
+            total += weight;
+        });
+
+        // Fallback fills any gap, overlaps are normalized so regions crossfade instead of stacking
+        if (total < 1 && ambienceWeights[fallbackRegion] !== undefined) {
+            ambienceWeights[fallbackRegion] += 1 - total;
+            total = 1;
+        }
+        const norm = Math.max(1, total);
+        for (const id in ambienceWeights) ambienceWeights[id] /= norm;
+
+        // Birds go quiet once the sun is down
+        const daylight = THREE.MathUtils.smoothstep(realm.lighting.sun.y, -0.05, 0.15);
+        const blend = 1 - Math.exp(-delta / ambienceParams.smoothing);
+
+        ambienceLayers.forEach((entry) => {
+            if (!entry.sound.buffer) return;
+            let target = ambienceWeights[entry.region.id] * entry.layer.volume;
+            if (entry.layer.dayOnly) target *= daylight;
+            entry.volume += (target - entry.volume) * blend;
+            entry.sound.setVolume(entry.volume);
+        });
+    }
+
+    // White noise with a slow, irregular swell - leaves moving in gusts
+    function createRustleBuffer(seconds) {
+        const buffer = createNoiseBuffer(seconds, false);
+        const data = buffer.getChannelData(0);
+        const rate = buffer.sampleRate;
+        for (let i = 0; i < data.length; i++) {
+            const t = i / rate;
+            // Whole cycles over the buffer length so the loop stays seamless
+            data[i] *= 0.55 + 0.3 * Math.sin(t * Math.PI * 2 / seconds) + 0.15 * Math.sin(t * Math.PI * 6 / seconds + 1.7);
+        }
+        return buffer;
+    }
+
+    // Scattered little trills of rising / falling chirps
+    function createBirdsongBuffer(seconds) {
+        const context = listener.context;
+        const rate = context.sampleRate;
+        const buffer = context.createBuffer(1, Math.floor(rate * seconds), rate);
+        const data = buffer.getChannelData(0);
+
+        const calls = Math.floor(seconds * 1.2);
+        for (let c = 0; c < calls; c++) {
+            let t = Math.random() * (seconds - 1);
+            const base = 2500 + Math.random() * 2500;
+            const sweep = (Math.random() - 0.5) * 2000;
+            const notes = 2 + Math.floor(Math.random() * 5);
+            const gain = 0.15 + Math.random() * 0.2; // Some birds are further away
+
+            for (let n = 0; n < notes; n++) {
+                const duration = 0.04 + Math.random() * 0.08;
+                const start = Math.floor(t * rate);
+                const length = Math.floor(duration * rate);
+                let phase = 0;
+                for (let i = 0; i < length && start + i < data.length; i++) {
+                    const p = i / length;
+                    phase += Math.PI * 2 * (base + sweep * p) / rate;
+                    data[start + i] += Math.sin(phase) * Math.sin(Math.PI * p) * gain;
+                }
+                t += duration + 0.03 + Math.random() * 0.06;
+            }
+        }
+        return buffer;
+    }
+
+    // --- TEARDOWN ---
+
+    // Stops and unplugs every sound, bus and reverb node of this realm. The AudioContext itself is
+    // shared by all realms on the page (THREE.AudioContext), so it stays open.
+    function dispose() {
+        Object.values(audioBuses).forEach((bus) => {
+            bus.sounds.forEach(disposeSound);
+            bus.sounds.length = 0;
+            bus.volume.disconnect();
+            bus.duck.disconnect();
+            bus.send.disconnect();
+        });
+        Object.values(reverb).forEach(node => node.disconnect());
+        emitters.length = 0;
+        ambienceLayers.length = 0;
+        audioBufferCache.clear();
+        camera.remove(listener);
+        listener.gain.disconnect();
+    }
+
+    // Stops a routed sound for good and takes it off its bus
+    function releaseSound(sound) {
+        disposeSound(sound);
+        const busSounds = audioBuses[sound.userData.bus].sounds;
+        busSounds.splice(busSounds.indexOf(sound), 1);
+    }
+
+    function disposeSound(sound) {
+        if (sound.isPlaying) sound.stop();
+        sound.disconnect(); // Source -> filters (occlusion, ambience) -> output
+        if (sound.panner) sound.panner.disconnect();
+        sound.gain.disconnect();
+        sound.removeFromParent();
+    }
+
+    return {
+        listener,
+        audioBusNames,
+        audioMixerSettings,
+        emitters,
+        ambienceParams,
+        ambienceWeights,
+        createNoiseBuffer,
+        routeToBus,
+        applyAudioMixerSettings,
+        setAudioPaused,
+        saveAudioMixerSettings,
+        updateAudioDucking,
+        updateAudioEnvironment,
+        attachModelSounds,
+        loadAudioBuffer,
+        attachNodeEmitters,
+        placeEmitter,
+        removeEmitter,
+        playEmitter,
+        updateEmitters,
+        updateAmbience,
+        releaseSound,
+        dispose
+    };
+}
@@ -0,0 +1,377 @@
+import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
+
+// Input: pointer lock, keyboard and mouse, and the touch controls on mobile. Keys are read from
+// the realm's root, so only the focused realm (clicked last) reacts when a page embeds several.
+
+export function createInput(realm) {
+    const { root } = realm;
+    const { camera, renderer } = realm.world;
+    const { listener } = realm.audio;
+
+    // Controls
+    const controls = new PointerLockControls(camera, renderer.domElement);
+
+    // Click to lock
+    root.addEventListener('click', (event) => {
+        // Resume Audio Context if suspended (Fixes "AudioContext was not allowed to start" warning)
+        if (listener.context.state === 'suspended') {
+            listener.context.resume();
+        }
+
+        // Prevent locking if clicking on the GUI, or while the level editor has the mouse
+        if (event.target.closest('.lil-gui') || realm.ui.editor.active) return;
+        root.focus();
+        controls.lock();
+    });
+
+    // Input State
+    const keys = {
+        w: false,
+        a: false,
+        s: false,
+        d: false,
+        shift: false,
+        space: false,
+        block: false
+    };
+    const isMobile = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+
+    // --- MOBILE CONTROLS ---
+    const landscapeWarning = document.createElement('div');
+    landscapeWarning.className = 'landscape-warning';
+    landscapeWarning.innerHTML = `
+        <div class="warning-content">
+            <h2>Please Rotate Device ↻</h2>
+            <p>Landscape mode required</p>
+        </div>
+    `;
+    root.appendChild(landscapeWarning);
+
+    const mobileControls = document.createElement('div');
+    mobileControls.className = 'mobile-controls';
+    mobileControls.innerHTML = `
+        <div class="joystick-zone">
+            <div class="joystick-base">
+                <div class="joystick-knob"></div>
+            </div>
+        </div>
+        <div class="action-zone">
+            <button class="mobile-crouch-btn">CROUCH</button>
+            <button class="mobile-run-btn">RUN</button>
+            <button class="mobile-jump-btn">JUMP</button>
+            <button class="mobile-block-btn">BLOCK</button>
+            <button class="mobile-attack-btn">ATTACK</button>
+        </div>
+    `;
+    root.appendChild(mobileControls);
+
+    // --- MOBILE CONTROLS LOGIC ---
+    const joystickVector = { x: 0, y: 0 };
+
+    function initMobileControls() {
+        const joystickZone = mobileControls.querySelector('.joystick-zone');
+        const joystickKnob = mobileControls.querySelector('.joystick-knob');
+        const runBtn = mobileControls.querySelector('.mobile-run-btn');
+        const jumpBtn = mobileControls.querySelector('.mobile-jump-btn');
+
+        if (!joystickZone || !joystickKnob || !jumpBtn || !runBtn) return;
+
+        // Joystick Touch
+        let startX = 0, startY = 0;
+        
+        // Prevent default touch actions (scrolling)
+        mobileControls.addEventListener('touchstart', (e) => e.preventDefault(), { passive: false });
+
+        joystickZone.addEventListener('touchstart', (e) => {
+            const touch = e.changedTouches[0];
+            const rect = joystickZone.getBoundingClientRect();
+            const centerX = rect.left + rect.width / 2;
+            const centerY = rect.top + rect.height / 2;
+            
+            startX = centerX;
+            startY = centerY;
+            
+            updateJoystick(touch.clientX, touch.clientY, centerX, centerY);
+        }, { passive: false });
+
+        joystickZone.addEventListener('touchmove', (e) => {
+            const touch = e.changedTouches[0];
+            const rect = joystickZone.getBoundingClientRect();
+            const centerX = rect.left + rect.width / 2;
+            const centerY = rect.top + rect.height / 2;
+            
+            updateJoystick(touch.clientX, touch.clientY, centerX, centerY);
+        }, { passive: false });
+
+        joystickZone.addEventListener('touchend', (e) => {
+            joystickVector.x = 0;
+            joystickVector.y = 0;
+            joystickKnob.style.transform = `translate(-50%, -50%)`;
+        });
+
+        function updateJoystick(clientX, clientY, centerX, centerY) {
+            let dx = clientX - centerX;
+            let dy = clientY - centerY;
+            
+            const maxRadius = 50; 
+            const distance = Math.min(Math.sqrt(dx*dx + dy*dy), maxRadius);
+            const angle = Math.atan2(dy, dx);
+            
+            const knobX = Math.cos(angle) * distance;
+            const knobY = Math.sin(angle) * distance;
+            joystickKnob.style.transform = `translate(calc(-50% + ${knobX}px), calc(-50% + ${knobY}px))`;
+            
+            joystickVector.x = knobX / maxRadius;
+            joystickVector.y = knobY / maxRadius;
+        }
+
+        // Run Button
+        runBtn.addEventListener('touchstart', (e) => {
+            keys.shift = true;
+            runBtn.style.background = 'rgba(255, 255, 255, 0.3)';
+            runBtn.style.transform = 'scale(0.95)';
+        });
+
+        runBtn.addEventListener('touchend', (e) => {
+            keys.shift = false;
+            runBtn.style.background = 'rgba(255, 255, 255, 0.1)';
+            runBtn.style.transform = 'scale(1)';
+        });
+
+        // Jump Button
+        jumpBtn.addEventListener('touchstart', (e) => {
+            keys.space = true;
+            jumpBtn.style.background = 'rgba(255, 215, 0, 0.5)';
+            jumpBtn.style.transform = 'scale(0.95)';
+        });
+        
+        jumpBtn.addEventListener('touchend', (e) => {
+            keys.space = false;
+            jumpBtn.style.background = 'rgba(255, 215, 0, 0.2)';
+            jumpBtn.style.transform = 'scale(1)';
+        });
+
+        // Attack Button
+        const attackBtn = mobileControls.querySelector('.mobile-attack-btn');
+        if (attackBtn) {
+            attackBtn.addEventListener('touchstart', (e) => {
+                realm.player.queueAttack();
+                attackBtn.style.background = 'rgba(220, 60, 60, 0.5)';
+                attackBtn.style.transform = 'scale(0.95)';
+            });
+
+            attackBtn.addEventListener('touchend', (e) => {
+                attackBtn.style.background = 'rgba(220, 60, 60, 0.2)';
+                attackBtn.style.transform = 'scale(1)';
+            });
+        }
+
+        // Block Button (Hold)
+        const blockBtn = mobileControls.querySelector('.mobile-block-btn');
+        if (blockBtn) {
+            blockBtn.addEventListener('touchstart', (e) => {
+                keys.block = true;
+                blockBtn.style.background = 'rgba(100, 160, 255, 0.5)';
+                blockBtn.style.transform = 'scale(0.95)';
+            });
+
+            blockBtn.addEventListener('touchend', (e) => {
+                keys.block = false;
+                blockBtn.style.background = 'rgba(100, 160, 255, 0.2)';
+                blockBtn.style.transform = 'scale(1)';
+            });
+        }
+
+        // Crouch Button (Toggle)
+        const crouchBtn = mobileControls.querySelector('.mobile-crouch-btn');
+        if (crouchBtn) {
+            crouchBtn.addEventListener('touchstart', (e) => {
+                realm.player.crouchState.wanted = !realm.player.crouchState.wanted;
+                crouchBtn.style.background = realm.player.crouchState.wanted ? 'rgba(255, 255, 255, 0.3)' : 'rgba(255, 255, 255, 0.1)';
+            });
+        }
+
+        // Touch Look (Right side Only)
+        let lastTouchX = 0;
+        let lastTouchY = 0;
+        let lookTouchId = null;
+
+        // Pinch Zoom (two fingers outside the controls)
+        let pinchDistance = null;
+        const getPinchDistance = (e) => {
+            const free = Array.from(e.touches).filter(t => !t.target.closest('.joystick-zone') && !t.target.closest('.action-zone'));
+            if (free.length < 2) return null;
+            return Math.hypot(free[0].clientX - free[1].clientX, free[0].clientY - free[1].clientY);
+        };
+
+        root.addEventListener('touchstart', (e) => {
+            pinchDistance = getPinchDistance(e);
+            if (pinchDistance !== null) {
+                lookTouchId = null; // Zooming, not looking
+                return;
+            }
+
+            // Ignore if touching controls or Left Side of Screen
+            // Let's reserve the Left 40% of screen for Joystick/Movement
+            // And Right 60% for Camera
+            
+            for (let i = 0; i < e.changedTouches.length; i++) {
+                const touch = e.changedTouches[i];
+                
+                // If dragging on UI, ignore
+                if (e.target.closest('.joystick-zone') || e.target.closest('.action-zone')) continue;
+                
+                // Check if touch is on the RIGHT side of the realm
+                const bounds = root.getBoundingClientRect();
+                if (touch.clientX > bounds.left + bounds.width * 0.4) {
+                    if (lookTouchId === null) {
+                        lookTouchId = touch.identifier;
+                        lastTouchX = touch.clientX;
+                        lastTouchY = touch.clientY;
+                    }
+                }
+            }
+        }, { passive: false });
+
+        root.addEventListener('touchmove', (e) => {
+            if (pinchDistance !== null) {
+                const distance = getPinchDistance(e);
+                if (distance !== null && distance > 0) {
+                    realm.player.zoomCamera(pinchDistance / distance); // Fingers apart -> closer
+                    pinchDistance = distance;
+                }
+                return;
+            }
+            if (lookTouchId === null) return;
+
+            for (let i = 0; i < e.changedTouches.length; i++) {
+                const touch = e.changedTouches[i];
+                
+                if (touch.identifier === lookTouchId) {
+                    const movementX = touch.clientX - lastTouchX;
+                    const movementY = touch.clientY - lastTouchY;
+                    
+                    lastTouchX = touch.clientX;
+                    lastTouchY = touch.clientY;
+
+                    // Adjust Sensitivity - Mobile needs to be faster
+                    const sensitivity = 0.004;
+
+                    // Rotate Camera
+                    // Note: Standard PointerLockControls rotates the 'camera' object directly 
+                    // but we need to implement the Euler rotation manually here.
+                    
+                    // Yaw (Camera Y) - Inversed
+                    camera.rotation.y -= movementX * sensitivity;
+                    
+                    // Pitch (Camera X)
+                    camera.rotation.x -= movementY * sensitivity;
+                    // Clamp slightly inside 90 degrees to avoid gimbal lock/flip issues
+                    const maxPolar = Math.PI / 2 - 0.1; 
+                    camera.rotation.x = Math.max(-maxPolar, Math.min(maxPolar, camera.rotation.x));
+                }
+            }
+        }, { passive: false });
+        
+        root.addEventListener('touchend', (e) => {
+            pinchDistance = getPinchDistance(e);
+            for (let i = 0; i < e.changedTouches.length; i++) {
+                 if (e.changedTouches[i].identifier === lookTouchId) {
+                     lookTouchId = null;
+                 }
+            }
+        });
+    }
+    initMobileControls();
+
+    root.addEventListener('keydown', (event) => {
+        switch(event.key.toLowerCase()) {
+            case 'w': keys.w = true; break;
+            case 'a': keys.a = true; break;
+            case 's': keys.s = true; break;
+            case 'd': keys.d = true; break;
+            case 'shift': keys.shift = true; break;
+            case ' ': keys.space = true; break;
+
+            // Crouch Toggle
+            case 'c':
+            case 'control':
+                if (!event.repeat) realm.player.crouchState.wanted = !realm.player.crouchState.wanted;
+                break;
+
+            // Debug Panel
+            case '`':
+                if (!event.repeat) realm.ui.toggleDebugPanel();
+                break;
+
+            // Over-the-shoulder Toggle
+            case 'v':
+                if (!event.repeat) realm.player.cameraBoom.overShoulder = !realm.player.cameraBoom.overShoulder;
+                break;
+
+            // Level Editor
+            case 'f2':
+                event.preventDefault();
+                if (!event.repeat) realm.ui.toggleEditor();
+                break;
+
+            // Coordinate Logger
+            case 'l': 
+                if (realm.player.model) {
+                    console.log(`Pos: ${realm.player.model.position.x.toFixed(2)}, ${realm.player.model.position.y.toFixed(2)}, ${realm.player.model.position.z.toFixed(2)}`);
+                }
+                break;
+        }
+    });
+
+    root.addEventListener('keyup', (event) => {
+        switch(event.key.toLowerCase()) {
+            case 'w': keys.w = false; break;
+            case 'a': keys.a = false; break;
+            case 's': keys.s = false; break;
+            case 'd': keys.d = false; break;
+            case 'shift': keys.shift = false; break;
+            case ' ': keys.space = false; break;
+        }
+    });
+
+    // Attack (Left Mouse) - only while playing, so the click that locks the pointer doesn't swing
+    // Block (Right Mouse) - held
+    root.addEventListener('mousedown', (event) => {
+        if (!controls.isLocked) return;
+        if (event.button === 0) realm.player.queueAttack();
+        if (event.button === 2) keys.block = true;
+    });
+
+    // Released outside the realm too (Esc unlocks the pointer mid-block)
+    realm.listen(document, 'mouseup', (event) => {
+        if (event.button === 2) keys.block = false;
+    });
+
+    // Zoom (Mouse Wheel)
+    root.addEventListener('wheel', (event) => {
+        if (!controls.isLocked) return;
+        realm.player.zoomCamera(1 + event.deltaY * realm.player.cameraBoom.wheelZoomSpeed);
+    }, { passive: true });
+
+    // Right click is the block button, not the browser menu
+    root.addEventListener('contextmenu', (event) => {
+        if (controls.isLocked || realm.ui.editor.active) event.preventDefault();
+    });
+
+    // --- TEARDOWN ---
+
+    // The root's listeners leave with it; the controls listen on the document
+    function dispose() {
+        if (controls.isLocked) controls.unlock();
+        controls.dispose();
+    }
+
+    return {
+        controls,
+        keys,
+        isMobile,
+        joystickVector,
+        dispose
+    };
+}
@@ -0,0 +1,993 @@
+import * as THREE from 'three';
+import { Sky } from 'three/addons/objects/Sky.js';
+import { withHexColors } from '../sceneConfig.js';
+
+// Lighting: presets and the day/night cycle (sky, sun, moon, stars, environment map), wind and
+// clouds, and the weather with its rain and sounds. Water color and wave height follow it, so the
+// water system reads these each frame rather than the other way round.
+
+export function createLighting(realm) {
+    const { sceneConfig } = realm;
+    const { scene, camera, renderer, bloomPass, cinematicPass, clock } = realm.world;
+    const { listener, createNoiseBuffer, routeToBus } = realm.audio;
+
+    // Lighting Presets
+    let currentPreset = 'goldenHour';
+    // goldenHour, noon, sunset and night, each { name, sky, fog, background, dirLight, hemiLight,
+    // rimLight, ambient, bloom, exposure, waterColor }. The scene file writes colors as '#rrggbb'.
+    const lightingPresets = withHexColors(sceneConfig.lightingPresets);
+
+    // Lights
+    const ambientLight = new THREE.AmbientLight(0xffffff, 0.2); // Soft white ambient
+    scene.add(ambientLight);
+
+    // Hemisphere Light - Simulating Sky and Ground bounce
+    // Less blue, more neutral/white sky, and warmer ground bounce for better outdoor feel
+    const hemiLight = new THREE.HemisphereLight(0xffffff, 0x444444, 1.0); 
+    hemiLight.position.set(0, 20, 0);
+    scene.add(hemiLight);
+
+    const dirLight = new THREE.DirectionalLight(0xffd090, 5.0); // Warmer, stronger golden sun
+    dirLight.position.set(5, 15, 5);
+    dirLight.castShadow = true;
+    dirLight.shadow.mapSize.width = 4096; // Higher resolution shadows
+    dirLight.shadow.mapSize.height = 4096;
+    dirLight.shadow.bias = -0.00005; // Finely tuned bias
+    dirLight.shadow.normalBias = 0.05; // Helps significantly with self-shadowing acne
+    const d = 50; // Larger shadow area to cover trees
+    dirLight.shadow.camera.left = -d;
+    dirLight.shadow.camera.right = d;
+    dirLight.shadow.camera.top = d;
+    dirLight.shadow.camera.bottom = -d;
+    dirLight.shadow.camera.far = 100;
+    scene.add(dirLight);
+
+    // Cinematic Rim Light (backlight for dramatic silhouettes)
+    const rimLight = new THREE.DirectionalLight(0x8090ff, 1.5);
+    rimLight.position.set(-10, 8, -10);
+    scene.add(rimLight);
+
+    // Subtle fill light from opposite side
+    const fillLight = new THREE.DirectionalLight(0xffeedd, 0.3);
+    fillLight.position.set(-5, 3, 5);
+    scene.add(fillLight);
+
+    // --- Sky & Sun ---
+    const sky = new Sky();
+    sky.scale.setScalar(450000);
+    scene.add(sky);
+
+    // Removed GridHelper
+
+    const sun = new THREE.Vector3();
+
+    const effectController = {
+        turbidity: 2.5, // Slightly hazy for cinematic atmosphere
+        rayleigh: 1.8, // Richer sky colors
+        mieCoefficient: 0.08, // More sun glow
+        mieDirectionalG: 0.95, // Tighter sun disc
+        exposure: renderer.toneMappingExposure
+    };
+
+    const uniforms = sky.material.uniforms;
+    uniforms[ 'turbidity' ].value = effectController.turbidity;
+    uniforms[ 'rayleigh' ].value = effectController.rayleigh;
+    uniforms[ 'mieCoefficient' ].value = effectController.mieCoefficient;
+    uniforms[ 'mieDirectionalG' ].value = effectController.mieDirectionalG;
+
+    // The sun rides the day/night arc (updateDayNight); until the world loads and places it there,
+    // it waits on the eastern horizon where the arc starts at 6:00
+    sun.set(1, 0, 0);
+    uniforms[ 'sunPosition' ].value.copy( sun );
+
+    // --- Moon, Sun & Stars (for time of day) ---
+    let moon, moonGlow, stars, sunSphere;
+
+    // Create Moon
+    function createMoon() {
+        // Main moon sphere - bright white
+        const moonGeo = new THREE.SphereGeometry(12, 32, 32);
+        const moonMat = new THREE.MeshBasicMaterial({
+            color: 0xffffff,
+            toneMapped: false  // Bypass tone mapping so it stays bright
+        });
+        moon = new THREE.Mesh(moonGeo, moonMat);
+        moon.visible = false;
+        scene.add(moon);
+        
+        // Moon glow effect - larger transparent sphere
+        const glowGeo = new THREE.SphereGeometry(25, 32, 32);
+        const glowMat = new THREE.ShaderMaterial({
+            uniforms: {
+                glowColor: { value: new THREE.Color(0xaaccff) },
+                viewVector: { value: new THREE.Vector3() }
+            },
+            vertexShader: `
+                varying vec3 vNormal;
+                void main() {
+                    vNormal = normalize(normalMatrix * normal);
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 glowColor;
+                varying vec3 vNormal;
+                void main() {
+                    float intensity = pow(0.7 - dot(vNormal, vec3(0.0, 0.0, 1.0)), 2.0);
+                    gl_FragColor = vec4(glowColor, intensity * 0.6);
+                }
+            `,
+            side: THREE.BackSide,
+            blending: THREE.AdditiveBlending,
+            transparent: true,
+            depthWrite: false
+        });
+        moonGlow = new THREE.Mesh(glowGeo, glowMat);
+        moonGlow.visible = false;
+        scene.add(moonGlow);
+    }
+
+    // Create Sun Sphere (visible sun disc in sky)
+    function createSunSphere() {
+        const sunGeo = new THREE.SphereGeometry(20, 32, 32);
+        const sunMat = new THREE.MeshBasicMaterial({
+            color: 0xffdd88,
+            transparent: true,
+            opacity: 0.95
+        });
+        sunSphere = new THREE.Mesh(sunGeo, sunMat);
+        sunSphere.visible = true; // Visible by default (Golden Hour starts)
+        scene.add(sunSphere);
+        
+        // Position sun initially
+        sunSphere.position.copy(sun).multiplyScalar(380);
+    }
+
+    // Create Starfield
+    function createStars() {
+        const starCount = 3000;
+        const starGeo = new THREE.BufferGeometry();
+        const positions = new Float32Array(starCount * 3);
+        const sizes = new Float32Array(starCount);
+        
+        for (let i = 0; i < starCount; i++) {
+            // Distribute on a sphere
+            const radius = 400;
+            const theta = Math.random() * Math.PI * 2;
+            const phi = Math.acos((Math.random() * 2) - 1);
+            
+            positions[i * 3] = radius * Math.sin(phi) * Math.cos(theta);
+            positions[i * 3 + 1] = Math.abs(radius * Math.cos(phi)); // Only upper hemisphere
+            positions[i * 3 + 2] = radius * Math.sin(phi) * Math.sin(theta);
+            
+            sizes[i] = Math.random() * 2 + 0.5;
+        }
+        
+        starGeo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        starGeo.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+        
+        const starMat = new THREE.ShaderMaterial({
+            uniforms: {
+                time: { value: 0 },
+                color: { value: new THREE.Color(0xffffff) }
+            },
+            vertexShader: `
+                attribute float size;
+                uniform float time;
+                varying float vTwinkle;
+                void main() {
+                    vTwinkle = 0.5 + 0.5 * sin(time * 2.0 + position.x * 0.1 + position.z * 0.1);
+                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                    gl_PointSize = size * vTwinkle * (200.0 / -mvPosition.z);
+                    gl_Position = projectionMatrix * mvPosition;
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 color;
+                varying float vTwinkle;
+                void main() {
+                    float dist = length(gl_PointCoord - vec2(0.5));
+                    if (dist > 0.5) discard;
+                    float alpha = 1.0 - smoothstep(0.0, 0.5, dist);
+                    gl_FragColor = vec4(color, alpha * vTwinkle);
+                }
+            `,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+        
+        stars = new THREE.Points(starGeo, starMat);
+        stars.visible = false; // Hidden by default
+        scene.add(stars);
+    }
+
+    createMoon();
+    createStars();
+    createSunSphere();
+
+    // --- HDRI / IBL Environment ---
+    // Use the Procedural Sky we created to light the scene massively improving realism.
+    // The armor will now reflect the sky and sun.
+    const pmremGenerator = new THREE.PMREMGenerator(renderer);
+    let renderTarget = pmremGenerator.fromScene(scene);
+    scene.environment = renderTarget.texture;
+
+    // --- Day / Night Cycle ---
+    // A clock runs through the day and the lighting presets act as keyframes; everything between
+    // them is interpolated. Sun and moon follow opposite arcs across the sky.
+    const timeOfDay = {
+        hour: 6.75,        // 0 - 24
+        dayLength: 600,    // Real seconds for a full 24h cycle
+        paused: false,
+        maxSunElevation: 60,  // Degrees at noon
+        maxMoonElevation: 40  // Degrees at midnight
+    };
+
+    // Must be sorted by hour. Sunrise is 6:00 and sunset 18:00 on the sun arc.
+    const dayKeyframes = [
+        { hour: 0,     preset: 'night' },
+        { hour: 5,     preset: 'night' },
+        { hour: 6.75,  preset: 'goldenHour' },
+        { hour: 12,    preset: 'noon' },
+        { hour: 17.75, preset: 'sunset' },
+        { hour: 19.5,  preset: 'night' }
+    ];
+
+    const presetColorKeys = new Set(['color', 'skyColor', 'groundColor', 'background', 'waterColor']);
+    const blendedPreset = structuredClone(lightingPresets.goldenHour); // Scratch state written every frame
+    const lightDirection = new THREE.Vector3(); // Sun by day, moon by night; dirLight shines along it
+    const moonDirection = new THREE.Vector3();
+    const _colorA = new THREE.Color();
+    const _colorB = new THREE.Color();
+
+    // Environment map regeneration is expensive, so only redo it when the light moved enough
+    const envRefresh = {
+        lightDirection: new THREE.Vector3(0, -1, 0),
+        lastTime: -Infinity,
+        angleThreshold: THREE.MathUtils.degToRad(5),
+        minInterval: 2.0 // Seconds
+    };
+
+    // Linear blend of two presets into out (same shape). Colors blend per channel.
+    function lerpPreset(a, b, t, out) {
+        for (const key in a) {
+            const va = a[key];
+            const vb = b[key];
+            if (typeof va === 'object') {
+                lerpPreset(va, vb, t, out[key]);
+            } else if (presetColorKeys.has(key)) {
+                out[key] = _colorA.setHex(va).lerp(_colorB.setHex(vb), t).getHex();
+            } else if (typeof va === 'number') {
+                out[key] = va + (vb - va) * t;
+            } else {
+                out[key] = t < 0.5 ? va : vb;
+            }
+        }
+    }
+
+    // Blends the two keyframes around `hour` into blendedPreset, returns the dominant preset name
+    function sampleDayKeyframes(hour) {
+        let i = dayKeyframes.length - 1;
+        while (i > 0 && dayKeyframes[i].hour > hour) i--;
+
+        const from = dayKeyframes[i];
+        const to = dayKeyframes[(i + 1) % dayKeyframes.length];
+        const toHour = to.hour <= from.hour ? to.hour + 24 : to.hour; // Wrap past midnight
+        const t = THREE.MathUtils.smoothstep(hour, from.hour, toHour);
+
+        lerpPreset(lightingPresets[from.preset], lightingPresets[to.preset], t, blendedPreset);
+        return t < 0.5 ? from.preset : to.preset;
+    }
+
+    function updateDayNight(deltaSeconds, forceEnvRefresh = false) {
+        if (!timeOfDay.paused) {
+            timeOfDay.hour = (timeOfDay.hour + deltaSeconds * 24 / timeOfDay.dayLength) % 24;
+        }
+        const hour = timeOfDay.hour;
+        const dominantPreset = sampleDayKeyframes(hour);
+        const preset = blendedPreset;
+
+        // Sun & Moon Arcs (0 at 6:00 rising in the east, overhead-south at noon, setting west at 18:00)
+        const arc = (hour - 6) / 24 * Math.PI * 2;
+        const sunElevation = timeOfDay.maxSunElevation * Math.sin(arc);
+        const sunAzimuth = 90 + (hour - 6) / 12 * 180;
+        const moonElevation = timeOfDay.maxMoonElevation * Math.sin(arc + Math.PI);
+        const moonAzimuth = sunAzimuth + 180 + 30; // Slightly offset from the anti-sun for nicer shadows
+
+        sun.setFromSphericalCoords(1, THREE.MathUtils.degToRad(90 - sunElevation), THREE.MathUtils.degToRad(sunAzimuth));
+        moonDirection.setFromSphericalCoords(1, THREE.MathUtils.degToRad(90 - moonElevation), THREE.MathUtils.degToRad(moonAzimuth));
+        const sunIsUp = sunElevation > moonElevation;
+        lightDirection.copy(sunIsUp ? sun : moonDirection);
+
+        // Update Sky
+        const skyUniforms = sky.material.uniforms;
+        skyUniforms['turbidity'].value = preset.sky.turbidity;
+        skyUniforms['rayleigh'].value = preset.sky.rayleigh;
+        skyUniforms['mieCoefficient'].value = preset.sky.mieCoefficient;
+        skyUniforms['mieDirectionalG'].value = preset.sky.mieDirectionalG;
+        skyUniforms['sunPosition'].value.copy(sun);
+        
+        // Update Fog
+        scene.fog.color.setHex(preset.fog.color);
+        scene.fog.density = preset.fog.density;
+        scene.background.setHex(preset.background);
+        
+        // Update Lights
+        // Fade the key light out near the horizon so the sun -> moon handover doesn't pop the shadows
+        const lightElevation = Math.max(sunElevation, moonElevation);
+        dirLight.color.setHex(preset.dirLight.color);
+        dirLight.intensity = preset.dirLight.intensity * THREE.MathUtils.smoothstep(lightElevation, 0, 6);
+        
+        hemiLight.color.setHex(preset.hemiLight.skyColor);
+        hemiLight.groundColor.setHex(preset.hemiLight.groundColor);
+        hemiLight.intensity = preset.hemiLight.intensity;
+        
+        rimLight.color.setHex(preset.rimLight.color);
+        rimLight.intensity = preset.rimLight.intensity;
+        
+        ambientLight.color.setHex(preset.ambient.color);
+        ambientLight.intensity = preset.ambient.intensity;
+        
+        // Update Bloom
+        bloomPass.strength = preset.bloom.strength;
+        bloomPass.threshold = preset.bloom.threshold;
+        
+        // Update Exposure
+        renderer.toneMappingExposure = preset.exposure;
+        
+        // Update Water Color
+        if (realm.water.mesh) {
+            realm.water.mesh.material.uniforms['waterColor'].value.setHex(preset.waterColor);
+            realm.water.mesh.material.uniforms['sunDirection'].value.copy(lightDirection);
+        }
+        realm.water.waterfalls.forEach((curtain) => {
+            curtain.material.uniforms['waterColor'].value.setHex(preset.waterColor);
+        });
+        
+        // Sun Sphere - deep orange and bigger near the horizon, golden when high
+        if (sunSphere) {
+            sunSphere.visible = sunElevation > -3;
+            if (sunSphere.visible) {
+                const height = THREE.MathUtils.smoothstep(sunElevation, 0, 15);
+                sunSphere.position.copy(sun).multiplyScalar(380);
+                sunSphere.material.color.setHex(0xff6030).lerp(_colorA.setHex(0xffdd88), height);
+                sunSphere.scale.setScalar(1.5 - 0.5 * height);
+            }
+        }
+        
+        // Moon (only once the sun is down) & Stars
+        if (moon) {
+            moon.visible = moonElevation > -3 && sunElevation < 5;
+            moon.position.copy(moonDirection).multiplyScalar(350);
+            if (moonGlow) {
+                moonGlow.visible = moon.visible;
+                moonGlow.position.copy(moon.position);
+            }
+        }
+        if (stars) {
+            stars.visible = sunElevation < -4;
+        }
+        
+        // Regenerate environment map for reflections (only when the light moved noticeably)
+        const now = performance.now() * 0.001;
+        const moved = envRefresh.lightDirection.angleTo(lightDirection) > envRefresh.angleThreshold;
+        if (forceEnvRefresh || (moved && now - envRefresh.lastTime > envRefresh.minInterval)) {
+            renderTarget.dispose();
+            renderTarget = pmremGenerator.fromScene(scene);
+            scene.environment = renderTarget.texture;
+            envRefresh.lightDirection.copy(lightDirection);
+            envRefresh.lastTime = now;
+        }
+        
+        // Update button text
+        if (dominantPreset !== currentPreset || forceEnvRefresh) {
+            currentPreset = dominantPreset;
+            if (realm.ui.presetButton) {
+                realm.ui.presetButton.textContent = lightingPresets[dominantPreset].name;
+            }
+        }
+    }
+
+    // Jump the clock to a preset's keyframe
+    function applyPreset(presetName) {
+        const keyframe = dayKeyframes.find(k => k.preset === presetName);
+        if (!keyframe) return;
+
+        timeOfDay.hour = keyframe.hour;
+        updateDayNight(0, true);
+    }
+
+    function togglePreset() {
+        const presets = Object.keys(lightingPresets);
+        const currentIndex = presets.indexOf(currentPreset);
+        const nextIndex = (currentIndex + 1) % presets.length;
+        applyPreset(presets[nextIndex]);
+    }
+
+
+    // --- WIND ---
+    // One global wind for everything that reacts to it (clouds, rain, flag / windmill audio...).
+    // Systems read windVector (world units per second, horizontal); the weather sets the speed.
+    const wind = {
+        direction: 60,       // Degrees, direction the wind blows towards
+        baseSpeed: 2.0,      // Calm-weather speed (GUI); the weather scales it (windFactor)
+        speed: 2.0,          // Current speed, baseSpeed * the weather's windFactor
+        gustStrength: 0.3,   // 0 - 1 fraction of the speed
+        gustFrequency: 0.15  // Hz
+    };
+    const windVector = new THREE.Vector3();
+    const windSounds = []; // { sound, baseVolume } - louder and faster in strong wind (see updateWind)
+
+    // Improved Clouds - one InstancedMesh of puffs so the count can grow without more draw calls
+    const cloudParams = {
+        count: 150,
+        bounds: 250,        // Clouds wrap at +-bounds on X and Z
+        minHeight: 120,
+        maxHeight: 220,
+        windFactor: 1.5,    // Wind is stronger at altitude
+        shadowStrength: 0.5,
+        shadowMapSize: 256,
+        shadowInterval: 0.1 // Seconds between shadow map redraws
+    };
+    const clouds = []; // { position, drift, radius, puffStart, puffCount }
+    let cloudMaterial;
+    let cloudMesh;
+    let visibleCloudCount = 0; // Set from the weather cloud cover
+    const cloudPuffMatrices = []; // Puff transforms relative to their cloud
+    const _cloudMatrix = new THREE.Matrix4();
+
+    // Top-down map of cloud shadows, projected along the light and sampled by the terrain materials
+    const cloudShadowCanvas = document.createElement('canvas');
+    cloudShadowCanvas.width = cloudShadowCanvas.height = cloudParams.shadowMapSize;
+    const cloudShadowContext = cloudShadowCanvas.getContext('2d');
+    const cloudShadowTexture = new THREE.CanvasTexture(cloudShadowCanvas);
+    cloudShadowTexture.flipY = false; // Canvas rows map straight to world Z
+    const cloudShadowUniforms = {
+        cloudShadowMap: { value: cloudShadowTexture },
+        cloudShadowBounds: { value: cloudParams.bounds },
+        cloudShadowStrength: { value: 0 }
+    };
+    let lastCloudShadowTime = -Infinity;
+
+    function addClouds() {
+        // Smoother, fluffier geometry (Icosahedron)
+        const geo = new THREE.IcosahedronGeometry(1, 0); 
+        const mat = cloudMaterial = new THREE.MeshStandardMaterial({ 
+            color: 0xffffff, 
+            flatShading: true, 
+            roughness: 0.9,
+            metalness: 0.1,
+            transparent: true,
+            opacity: 0.6 // Reduced opacity
+        });
+        
+        // Create random cloud clumps (clear weather shows about half of them)
+        const dummy = new THREE.Object3D();
+        for (let i = 0; i < cloudParams.count; i++) {
+            // More puffs for denser, less blocky look
+            const puffs = 7 + Math.floor(Math.random() * 6); 
+            const cloud = {
+                // Form way higher in the sky (120+)
+                position: new THREE.Vector3(
+                    (Math.random() - 0.5) * cloudParams.bounds * 2,
+                    cloudParams.minHeight + Math.random() * (cloudParams.maxHeight - cloudParams.minHeight),
+                    (Math.random() - 0.5) * cloudParams.bounds * 2
+                ),
+                drift: 0.8 + Math.random() * 0.4, // Slight speed variation so the layer doesn't move as one sheet
+                radius: 0,
+                puffStart: cloudPuffMatrices.length,
+                puffCount: puffs
+            };
+
+            for(let j=0; j<puffs; j++) {
+                // Tighter packing to merge shapes
+                dummy.position.set(
+                    (Math.random() - 0.5) * 5,
+                    (Math.random() - 0.5) * 3,
+                    (Math.random() - 0.5) * 4
+                );
+                // Varied sizes
+                const size = 3 + Math.random() * 5;
+                dummy.scale.setScalar(size);
+                
+                // Random rotation
+                dummy.rotation.set(Math.random()*Math.PI, Math.random()*Math.PI, Math.random()*Math.PI);
+                dummy.updateMatrix();
+                cloudPuffMatrices.push(dummy.matrix.clone());
+
+                cloud.radius = Math.max(cloud.radius, Math.hypot(dummy.position.x, dummy.position.z) + size);
+            }
+            clouds.push(cloud);
+        }
+
+        cloudMesh = new THREE.InstancedMesh(geo, mat, cloudPuffMatrices.length);
+        cloudMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        cloudMesh.frustumCulled = false; // Instances move every frame, the bounds would be stale
+        cloudMesh.castShadow = false; 
+        cloudMesh.receiveShadow = false;
+        scene.add(cloudMesh);
+
+        setCloudCover(0.5);
+        updateCloudInstances();
+    }
+    addClouds();
+
+    // --- WEATHER ---
+    // Each state is a target; the controller blends the current mix towards it (same blending as
+    // the day/night keyframes) and applies it on top of the time-of-day lighting every frame.
+    const weatherStates = {
+        clear: {
+            name: '☀️ Clear',
+            fog: { density: 1.0, tint: 0.0 },   // density multiplies the time-of-day fog; tint greys it
+            turbidity: 0,                         // Added to the sky turbidity
+            sunDimming: 0,                        // 0 - 1 reduction of the sun/moon light
+            clouds: { cover: 0.5, color: 0xffffff, opacity: 0.6 },
+            rain: 0,                              // 0 - 1 share of the rain drops
+            waveHeight: 0.33,                     // riverParams.waveHeight
+            lightning: false,
+            windFactor: 1,                        // Multiplies wind.baseSpeed
+            beds: { wind: 0.0, rain: 0.0 }        // Ambient audio bed volumes
+        },
+        overcast: {
+            name: '☁️ Overcast',
+            fog: { density: 1.8, tint: 0.35 },
+            turbidity: 8,
+            sunDimming: 0.55,
+            clouds: { cover: 0.9, color: 0xb4b8bc, opacity: 0.75 },
+            rain: 0,
+            waveHeight: 0.4,
+            lightning: false,
+            windFactor: 2,
+            beds: { wind: 0.35, rain: 0.0 }
+        },
+        rain: {
+            name: '🌧️ Rain',
+            fog: { density: 2.5, tint: 0.55 },
+            turbidity: 12,
+            sunDimming: 0.75,
+            clouds: { cover: 1.0, color: 0x8a9096, opacity: 0.85 },
+            rain: 0.55,
+            waveHeight: 0.55,
+            lightning: false,
+            windFactor: 2.5,
+            beds: { wind: 0.25, rain: 0.5 }
+        },
+        thunderstorm: {
+            name: '⛈️ Storm',
+            fog: { density: 3.2, tint: 0.7 },
+            turbidity: 18,
+            sunDimming: 0.85,
+            clouds: { cover: 1.0, color: 0x596067, opacity: 0.9 },
+            rain: 1.0,
+            waveHeight: 0.8,
+            lightning: true,
+            windFactor: 4.5,
+            beds: { wind: 0.6, rain: 0.9 }
+        }
+    };
+
+    const weather = {
+        target: 'clear',
+        from: structuredClone(weatherStates.clear), // Snapshot of the mix when the transition began
+        progress: 1,
+        transitionTime: 20,   // Seconds
+        time: 0,
+        wetness: 0,           // Surfaces get wet while it rains and dry slowly afterwards
+        wetRate: 1 / 30,
+        dryRate: 1 / 90,
+        nextStrike: 0,
+        strikeTime: -Infinity,
+        thunderAt: -1
+    };
+    const weatherMix = structuredClone(weatherStates.clear); // Blended state, written by updateWeather
+    const stormFogColor = new THREE.Color(0x7a8088);
+
+    // Rain streaks live in a box around the camera and wrap when it moves
+    const rainParams = {
+        maxDrops: 6000,
+        boxSize: 40,
+        height: 25,
+        speed: 18,
+        streakLength: 0.6,
+        slant: new THREE.Vector3(0, -1, 0) // Fall direction, tilted by windVector in stepRain
+    };
+    let rainSystem;
+    createRainSystem();
+
+    // Materials darkened by wetness (filled once the environment loads)
+    const wetMaterials = [];
+    let appliedWetness = 0;
+
+    // Ambient audio beds and thunder are synthesized noise, so they need no extra assets
+    const weatherBeds = {};
+    let thunderSound;
+    createWeatherAudio();
+
+    // --- WEATHER IMPLEMENTATION FUNCTIONS ---
+
+    function setWeather(name) {
+        if (!weatherStates[name]) return;
+
+        // Blend from wherever we are right now, even mid-transition
+        weather.from = structuredClone(weatherMix);
+        weather.target = name;
+        weather.progress = 0;
+        realm.ui.weatherButton.textContent = weatherStates[name].name;
+    }
+
+    function updateWeather(delta) {
+        weather.time += delta;
+
+        // Blend towards the target state
+        if (weather.progress < 1) {
+            weather.progress = Math.min(1, weather.progress + delta / weather.transitionTime);
+            const t = THREE.MathUtils.smoothstep(weather.progress, 0, 1);
+            lerpPreset(weather.from, weatherStates[weather.target], t, weatherMix);
+        }
+        const mix = weatherMix;
+
+        // Fog & Sky (on top of the values updateDayNight just wrote)
+        scene.fog.density *= mix.fog.density;
+        scene.fog.color.lerp(stormFogColor, mix.fog.tint);
+        scene.background.lerp(stormFogColor, mix.fog.tint);
+        sky.material.uniforms['turbidity'].value += mix.turbidity;
+
+        // Clouds hide the sun / moon
+        dirLight.intensity *= 1 - mix.sunDimming;
+        if (sunSphere && mix.sunDimming > 0.5) sunSphere.visible = false;
+        if (stars && mix.clouds.cover > 0.8) stars.visible = false;
+
+        // Cloud Cover
+        setCloudCover(mix.clouds.cover);
+        cloudMaterial.color.setHex(mix.clouds.color);
+        cloudMaterial.opacity = mix.clouds.opacity;
+        // Cloud shadows fade as the sky closes up and the direct light goes flat
+        cloudShadowUniforms.cloudShadowStrength.value = cloudParams.shadowStrength * (1 - mix.sunDimming);
+
+        wind.speed = wind.baseSpeed * mix.windFactor;
+
+        // Rain (stepRain moves the drops, here we only fade them)
+        rainSystem.visible = mix.rain > 0.01;
+        rainSystem.geometry.setDrawRange(0, Math.floor(mix.rain * rainParams.maxDrops) * 2);
+        rainSystem.material.opacity = 0.25 + 0.2 * mix.rain;
+
+        // River gets choppier in bad weather
+        realm.water.riverParams.waveHeight = mix.waveHeight;
+
+        // Wet surfaces - soak up quickly, dry slowly
+        const targetWetness = mix.rain > 0.1 ? mix.rain : 0;
+        if (weather.wetness < targetWetness) {
+            weather.wetness = Math.min(targetWetness, weather.wetness + weather.wetRate * delta);
+        } else {
+            weather.wetness = Math.max(targetWetness, weather.wetness - weather.dryRate * delta);
+        }
+        if (Math.abs(weather.wetness - appliedWetness) > 0.005) {
+            applyWetness(weather.wetness);
+        }
+
+        // Lightning & Thunder
+        if (mix.lightning && weather.time >= weather.nextStrike) {
+            weather.strikeTime = weather.time;
+            weather.nextStrike = weather.time + 4 + Math.random() * 10;
+            weather.thunderAt = weather.time + 0.4 + Math.random() * 2.5; // Sound travels slower than light
+        }
+        const age = weather.time - weather.strikeTime;
+        let flash = 0;
+        if (age < 0.8) {
+            // Main strike followed by a weaker return stroke
+            flash = Math.exp(-age * 10) + (age > 0.15 ? 0.6 * Math.exp(-(age - 0.15) * 12) : 0);
+        }
+        cinematicPass.uniforms['flash'].value = flash;
+        hemiLight.intensity += flash * 3;
+
+        if (weather.thunderAt >= 0 && weather.time >= weather.thunderAt) {
+            weather.thunderAt = -1;
+            if (thunderSound.isPlaying) thunderSound.stop();
+            thunderSound.setPlaybackRate(0.7 + Math.random() * 0.4);
+            thunderSound.setVolume(0.6 + Math.random() * 0.4);
+            thunderSound.play();
+        }
+
+        // Ambient Beds
+        for (const bed in weatherBeds) {
+            weatherBeds[bed].setVolume(mix.beds[bed]);
+        }
+    }
+
+    function createRainSystem() {
+        const count = rainParams.maxDrops;
+        const positions = new Float32Array(count * 6); // Two vertices per streak
+
+        for (let i = 0; i < count; i++) {
+            const x = (Math.random() - 0.5) * rainParams.boxSize;
+            const y = Math.random() * rainParams.height;
+            const z = (Math.random() - 0.5) * rainParams.boxSize;
+            positions[i * 6] = x;
+            positions[i * 6 + 1] = y;
+            positions[i * 6 + 2] = z;
+            positions[i * 6 + 3] = x - rainParams.slant.x * rainParams.streakLength;
+            positions[i * 6 + 4] = y - rainParams.slant.y * rainParams.streakLength;
+            positions[i * 6 + 5] = z - rainParams.slant.z * rainParams.streakLength;
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setDrawRange(0, 0);
+
+        const material = new THREE.LineBasicMaterial({
+            color: 0xaab4c8,
+            transparent: true,
+            opacity: 0.35,
+            depthWrite: false
+        });
+
+        rainSystem = new THREE.LineSegments(geometry, material);
+        rainSystem.frustumCulled = false; // Drops follow the camera, bounds would be stale
+        rainSystem.visible = false;
+        scene.add(rainSystem);
+    }
+
+    function stepRain(delta) {
+        if (!rainSystem || !rainSystem.visible) return;
+
+        const positions = rainSystem.geometry.attributes.position.array;
+        const count = rainSystem.geometry.drawRange.count / 2;
+        const half = rainParams.boxSize / 2;
+        const center = camera.position;
+        rainParams.slant.set(windVector.x / rainParams.speed, -1, windVector.z / rainParams.speed).normalize();
+        const fall = rainParams.speed * delta;
+        const dx = rainParams.slant.x * fall;
+        const dy = rainParams.slant.y * fall;
+        const dz = rainParams.slant.z * fall;
+        const sx = rainParams.slant.x * rainParams.streakLength;
+        const sy = rainParams.slant.y * rainParams.streakLength;
+        const sz = rainParams.slant.z * rainParams.streakLength;
+
+        for (let i = 0; i < count; i++) {
+            const i6 = i * 6;
+            let x = positions[i6] + dx;
+            let y = positions[i6 + 1] + dy;
+            let z = positions[i6 + 2] + dz;
+
+            if (y < center.y - 5) {
+                // Respawn above the camera
+                x = center.x + (Math.random() - 0.5) * rainParams.boxSize;
+                y = center.y + rainParams.height - 5 - Math.random() * 5;
+                z = center.z + (Math.random() - 0.5) * rainParams.boxSize;
+            } else {
+                // Wrap horizontally to stay around the camera
+                if (x < center.x - half) x += rainParams.boxSize;
+                else if (x > center.x + half) x -= rainParams.boxSize;
+                if (z < center.z - half) z += rainParams.boxSize;
+                else if (z > center.z + half) z -= rainParams.boxSize;
+            }
+
+            positions[i6] = x;
+            positions[i6 + 1] = y;
+            positions[i6 + 2] = z;
+            positions[i6 + 3] = x - sx;
+            positions[i6 + 4] = y - sy;
+            positions[i6 + 5] = z - sz;
+        }
+        rainSystem.geometry.attributes.position.needsUpdate = true;
+    }
+
+    // Remember the dry look of every standard material in the environment
+    function collectWetMaterials(model) {
+        const seen = new Set();
+        model.traverse((child) => {
+            if (!child.isMesh) return;
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach((material) => {
+                if (!material || !material.isMeshStandardMaterial || seen.has(material)) return;
+                seen.add(material);
+                wetMaterials.push({
+                    material,
+                    color: material.color.clone(),
+                    roughness: material.roughness
+                });
+            });
+        });
+    }
+
+    // Wet surfaces are darker and shinier
+    function applyWetness(wetness) {
+        wetMaterials.forEach((entry) => {
+            entry.material.color.copy(entry.color).multiplyScalar(1 - 0.35 * wetness);
+            entry.material.roughness = entry.roughness * (1 - 0.6 * wetness);
+        });
+        appliedWetness = wetness;
+    }
+
+    function createWeatherAudio() {
+        const context = listener.context;
+
+        // Wind - low rumble
+        const wind = routeToBus(new THREE.Audio(listener), 'ambience');
+        wind.setBuffer(createNoiseBuffer(6, true));
+        const windFilter = context.createBiquadFilter();
+        windFilter.type = 'lowpass';
+        windFilter.frequency.value = 500;
+        wind.setFilter(windFilter);
+
+        // Rain - hiss
+        const rain = routeToBus(new THREE.Audio(listener), 'ambience');
+        rain.setBuffer(createNoiseBuffer(4, false));
+        const rainFilter = context.createBiquadFilter();
+        rainFilter.type = 'bandpass';
+        rainFilter.frequency.value = 2500;
+        rainFilter.Q.value = 0.4;
+        rain.setFilter(rainFilter);
+
+        [wind, rain].forEach((bed) => {
+            bed.setLoop(true);
+            bed.setVolume(0);
+            bed.play();
+        });
+        weatherBeds.wind = wind;
+        weatherBeds.rain = rain;
+
+        // Thunder - one-shot rumble
+        thunderSound = routeToBus(new THREE.Audio(listener), 'ambience');
+        thunderSound.setBuffer(createNoiseBuffer(4, true, 1.2));
+        const thunderFilter = context.createBiquadFilter();
+        thunderFilter.type = 'lowpass';
+        thunderFilter.frequency.value = 180;
+        thunderSound.setFilter(thunderFilter);
+    }
+
+    // --- WIND & CLOUD IMPLEMENTATION FUNCTIONS ---
+
+    function updateWind(time) {
+        // Two detuned sines give irregular gusts
+        const phase = time * wind.gustFrequency * Math.PI * 2;
+        const gust = 1 + wind.gustStrength * (0.6 * Math.sin(phase) + 0.4 * Math.sin(phase * 2.7 + 1.3));
+        const rad = THREE.MathUtils.degToRad(wind.direction);
+        windVector.set(Math.sin(rad), 0, Math.cos(rad)).multiplyScalar(wind.speed * gust);
+
+        // Flags flap harder (louder, faster) in strong wind
+        const strength = THREE.MathUtils.clamp(windVector.length() / 8, 0, 1);
+        windSounds.forEach(({ sound, baseVolume }) => {
+            if (!sound.buffer) return;
+            sound.setVolume(baseVolume * (0.4 + 0.6 * strength));
+            sound.setPlaybackRate(0.9 + 0.25 * strength);
+        });
+    }
+
+    function setCloudCover(cover) {
+        visibleCloudCount = Math.round(cover * clouds.length);
+        const last = clouds[visibleCloudCount - 1];
+        cloudMesh.count = last ? last.puffStart + last.puffCount : 0;
+    }
+
+    function updateClouds(delta) {
+        const bounds = cloudParams.bounds;
+        clouds.forEach((cloud) => {
+            cloud.position.addScaledVector(windVector, delta * cloudParams.windFactor * cloud.drift);
+
+            // Wrap around the world bounds
+            if (cloud.position.x > bounds) cloud.position.x -= bounds * 2;
+            else if (cloud.position.x < -bounds) cloud.position.x += bounds * 2;
+            if (cloud.position.z > bounds) cloud.position.z -= bounds * 2;
+            else if (cloud.position.z < -bounds) cloud.position.z += bounds * 2;
+        });
+        updateCloudInstances();
+
+        const now = clock.elapsedTime;
+        if (now - lastCloudShadowTime > cloudParams.shadowInterval) {
+            drawCloudShadows();
+            lastCloudShadowTime = now;
+        }
+    }
+
+    function updateCloudInstances() {
+        clouds.forEach((cloud) => {
+            for (let i = 0; i < cloud.puffCount; i++) {
+                _cloudMatrix.makeTranslation(cloud.position.x, cloud.position.y, cloud.position.z);
+                _cloudMatrix.multiply(cloudPuffMatrices[cloud.puffStart + i]);
+                cloudMesh.setMatrixAt(cloud.puffStart + i, _cloudMatrix);
+            }
+        });
+        cloudMesh.instanceMatrix.needsUpdate = true;
+    }
+
+    // Paint each visible cloud as a soft blob where its shadow lands (projected along the light)
+    function drawCloudShadows() {
+        const size = cloudParams.shadowMapSize;
+        const bounds = cloudParams.bounds;
+        const toPixels = size / (bounds * 2);
+        const ctx = cloudShadowContext;
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, size, size);
+
+        // Light too low -> shadows would stretch to infinity, skip them
+        if (lightDirection.y > 0.15) {
+            const offsetX = -lightDirection.x / lightDirection.y;
+            const offsetZ = -lightDirection.z / lightDirection.y;
+
+            for (let i = 0; i < visibleCloudCount; i++) {
+                const cloud = clouds[i];
+                const x = (cloud.position.x + offsetX * cloud.position.y + bounds) * toPixels;
+                const y = (cloud.position.z + offsetZ * cloud.position.y + bounds) * toPixels;
+                const r = cloud.radius * 1.5 * toPixels; // Bigger than the cloud for a soft penumbra
+
+                const gradient = ctx.createRadialGradient(x, y, 0, x, y, r);
+                gradient.addColorStop(0, 'rgba(255,255,255,0.9)');
+                gradient.addColorStop(1, 'rgba(255,255,255,0)');
+                ctx.fillStyle = gradient;
+                ctx.fillRect(x - r, y - r, r * 2, r * 2);
+            }
+        }
+        cloudShadowTexture.needsUpdate = true;
+    }
+
+    // Darken direct light on the environment where cloud shadows fall
+    function applyCloudShadows(model) {
+        const patched = new Set();
+        model.traverse((child) => {
+            if (!child.isMesh) return;
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach((material) => {
+                if (!material || !material.isMeshStandardMaterial || patched.has(material)) return;
+                patched.add(material);
+
+                material.onBeforeCompile = (shader) => {
+                    Object.assign(shader.uniforms, cloudShadowUniforms);
+                    shader.vertexShader = shader.vertexShader
+                        .replace('#include <common>', '#include <common>\nvarying vec2 vCloudWorldXZ;')
+                        .replace('#include <fog_vertex>', '#include <fog_vertex>\nvCloudWorldXZ = (modelMatrix * vec4(transformed, 1.0)).xz;');
+                    shader.fragmentShader = shader.fragmentShader
+                        .replace('#include <common>', `#include <common>
+                            uniform sampler2D cloudShadowMap;
+                            uniform float cloudShadowBounds;
+                            uniform float cloudShadowStrength;
+                            varying vec2 vCloudWorldXZ;`)
+                        .replace('#include <lights_fragment_end>', `#include <lights_fragment_end>
+                            vec2 cloudUv = (vCloudWorldXZ + cloudShadowBounds) / (2.0 * cloudShadowBounds);
+                            float cloudShadow = 1.0 - texture2D(cloudShadowMap, cloudUv).r * cloudShadowStrength;
+                            reflectedLight.directDiffuse *= cloudShadow;
+                            reflectedLight.directSpecular *= cloudShadow;`);
+                };
+                material.needsUpdate = true;
+            });
+        });
+    }
+
+    // --- TEARDOWN ---
+
+    // What the world's scene sweep can't reach: the environment map with its generator, and the
+    // cloud shadow map that only the patched terrain shaders see
+    function dispose() {
+        scene.environment = null;
+        renderTarget.dispose();
+        pmremGenerator.dispose();
+        cloudShadowTexture.dispose();
+    }
+
+    return {
+        get currentPreset() { return currentPreset; },
+        lightingPresets,
+        dirLight,
+        sun,
+        get stars() { return stars; },
+        timeOfDay,
+        lightDirection,
+        updateDayNight,
+        applyPreset,
+        togglePreset,
+        wind,
+        windSounds,
+        weatherStates,
+        weather,
+        setWeather,
+        updateWeather,
+        stepRain,
+        collectWetMaterials,
+        updateWind,
+        updateClouds,
+        applyCloudShadows,
+        dispose
+    };
+}
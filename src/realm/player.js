@@ -0,0 +1,1521 @@
+import * as THREE from 'three';
+import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
+import RAPIER from '@dimforge/rapier3d-compat';
+
+// Player: the Paladin model and its animations, Rapier physics and the character controller,
+// the third-person camera boom, combat, block, crouch, footsteps and swimming.
+
+export function createPlayer(realm) {
+    const { sceneConfig } = realm;
+    const { scene, camera, loadingManager, spawnPosition, loadTracked } = realm.world;
+    const { listener, routeToBus, loadAudioBuffer } = realm.audio;
+    const { riverParams, sampleRiverAt, getFlowDirection } = realm.water;
+    const { controls, keys, isMobile, joystickVector } = realm.input;
+
+    // Animation variables
+    let mixer;
+    let player;
+    const simPose = {
+        position: new THREE.Vector3(),
+        quaternion: new THREE.Quaternion(),
+        prevPosition: new THREE.Vector3(),
+        prevQuaternion: new THREE.Quaternion(),
+        initialized: false
+    };
+
+    // --- PHYSICS (RAPIER) ---
+    // The book is baked into static trimesh colliders; the Paladin is a kinematic capsule moved by
+    // Rapier's character controller (slopes, steps, wall sliding, snap-to-ground).
+    const rapierReady = RAPIER.init(); // WASM init, resolved before the world is built
+    let physicsWorld = null;
+    let characterController = null;
+    let playerBody = null;
+    let playerCollider = null;
+    const colliderMeshes = new Map(); // Collider handle -> the terrain mesh it was baked from
+    const characterParams = {
+        radius: 0.35,
+        skinOffset: 0.02,    // Gap the controller keeps between capsule and terrain
+        maxSlopeClimb: 50,   // Degrees; steeper faces act as walls
+        minSlopeSlide: 40,   // Degrees; standing on steeper faces slides you down
+        stepHeight: 0.6,     // Same as the old "Don't Climb Props" threshold
+        stepMinWidth: 0.2,
+        snapToGround: 0.5
+    };
+
+    // --- CAMERA BOOM ---
+    // Third-person boom: the camera sits `distance` behind a pivot above the Paladin. A sphere
+    // cast pulls it in when terrain is in the way; it springs back out when clear. If even the
+    // shortest boom is blocked, whatever is in between fades out instead.
+    const cameraBoom = {
+        distance: 3.5,          // Wanted distance (mouse wheel / pinch)
+        minDistance: 1.2,
+        maxDistance: 8.0,
+        wheelZoomSpeed: 0.001,  // Fraction of the distance per wheel delta unit
+        probeRadius: 0.25,      // Sphere cast radius, keeps the near plane out of walls
+        returnSpeed: 4.0,       // Spring back rate (pulling in is instant)
+        shoulderOffset: 0.6,    // Sideways pivot shift for over-the-shoulder
+        overShoulder: false,    // Toggled with V
+        shoulderSpeed: 6.0,
+        fadeOpacity: 0.2,
+        fadeSpeed: 6.0,
+        // Runtime
+        currentDistance: 3.5,
+        currentShoulder: 0
+    };
+    const fadedMeshes = new Map(); // mesh -> { original, faded } materials, see updateOccluderFade
+    const actions = {
+        idle: null,
+        walk: null,
+        run: null,
+        strafe_left: null,
+        strafe_right: null,
+        jump: null,
+        slash_1: null,
+        slash_2: null,
+        slash_3: null,
+        kick: null,
+        crouch_enter: null,
+        crouch_idle: null,
+        crouch_walk: null,
+        crouch_fast: null,
+        land: null,
+        stagger: null,
+        block_raise: null,  // Upper-body layer (additive)
+        block_hold: null,   // Upper-body layer (additive)
+        block_guard: null,  // Full-body stance when blocking in place (block idle, see loadAnim)
+        block_guard_crouch: null // The same, crouched
+    };
+
+    // --- COMBAT SETUP ---
+    // Timings are normalized clip time (0 = first frame, 1 = last frame).
+    // hitStart/hitEnd: window in which the swing can connect with something.
+    // comboStart: earliest point a buffered click chains into the next move.
+    const combatMoves = {
+        slash_1: { file: 'sword and shield slash.fbx',     hitStart: 0.30, hitEnd: 0.50, comboStart: 0.45, damage: 10 },
+        slash_2: { file: 'sword and shield slash (2).fbx', hitStart: 0.28, hitEnd: 0.48, comboStart: 0.45, damage: 12 },
+        slash_3: { file: 'sword and shield slash (3).fbx', hitStart: 0.35, hitEnd: 0.55, comboStart: 0.50, damage: 15 },
+        kick:    { file: 'sword and shield kick.fbx',      hitStart: 0.35, hitEnd: 0.50, comboStart: 1.00, damage: 20 }
+    };
+    const comboChain = ['slash_1', 'slash_2', 'slash_3', 'kick'];
+
+    const combatState = {
+        currentMove: null,    // Name of the move being played (null = not attacking)
+        comboIndex: 0,
+        bufferedAttack: false, // Click received mid-swing, consumed at comboStart
+        hitFired: false,
+        hitActive: false
+    };
+
+    // Other systems can listen for strikes:
+    // combatEvents.addEventListener('hitstart', (e) => { ... e.move, e.damage, e.origin, e.direction ... })
+    // Events: 'attackstart', 'hitstart', 'hitend', 'attackend'
+    const combatEvents = new THREE.EventDispatcher();
+
+    // --- BLOCK / PARRY SETUP ---
+    // Upper-body layers are played additively on top of whatever locomotion clip is active,
+    // so the shield stays up while walking. Built against the idle pose once both are loaded.
+    const upperBodyLayers = ['block_raise', 'block_hold'];
+    const upperBodyBonePattern = /spine|neck|head|shoulder|arm|hand/i;
+    const layerClips = {};
+
+    const parryWindow = 0.25;         // Simulated seconds after raising the shield where a strike is parried
+    const blockSpeedMultiplier = 0.5; // Walk at half speed behind the shield
+    const shieldArc = Math.cos(THREE.MathUtils.degToRad(70)); // Shield covers +/- 70 degrees in front
+
+    const blockState = {
+        active: false,
+        raised: false,   // Raise clip finished, holding the guard
+        parrying: false,
+        heldTime: 0      // Simulated seconds since the shield went up (advanced by simulate)
+    };
+    // Events (on combatEvents): 'blockstart', 'blockend', 'block', 'parry'
+
+    // --- CROUCH / SNEAK SETUP ---
+    // height sizes the Rapier capsule for the stance and is the room hasHeadroom() needs before
+    // standing back up; camHeight is the camera pivot above the feet
+    const stances = {
+        standing:  { height: 1.9, camHeight: 1.5 },
+        crouching: { height: 1.2, camHeight: 1.1 }
+    };
+    const crouchSpeed = 1.8;     // Sneak
+    const crouchFastSpeed = 3.0; // Sneak + Shift, still slower than walking
+
+    const crouchState = {
+        wanted: false,   // Toggle state from input
+        crouched: false, // Actual stance (stays true under low ceilings until there's room to stand)
+        entering: false  // Playing the stand -> crouch transition
+    };
+
+    // Global for footsteps
+    let footstepSound, jumpStartSound, jumpEndSound;
+
+    // --- FOOTSTEPS SETUP ---
+    // Steps fire when a locomotion clip passes one of its foot-contact times (found from the foot
+    // bones when the clip loads). The surface under the Paladin picks the sound set.
+    const locomotionClips = ['walk', 'run', 'strafe_left', 'strafe_right', 'crouch_walk', 'crouch_fast'];
+    const footContacts = {}; // clip name -> normalized contact times, e.g. [0.02, 0.51]
+    const footstepState = {
+        clip: null,          // Locomotion clip that drove the last check
+        lastTime: 0,         // Its normalized time at the last check
+        lastPosition: new THREE.Vector3(),
+        minSpeed: 0.3,       // Slower than this (pushing against a wall) = no steps
+        lastVariation: -1
+    };
+
+    // Mesh / material names checked first, then the terrain texture color under the feet
+    const surfaceNameRules = [
+        { pattern: /water/i, surface: 'water' },
+        { pattern: /bridge|wood|plank|mill/i, surface: 'wood' },
+        { pattern: /stone|rock|castle|wall|tower/i, surface: 'stone' }
+    ];
+
+    // Per-surface sound sets. `clips` are files under public/, `synth` generates variations.
+    // Every step picks a random variation with its own rate within `rate`.
+    const footstepSurfaces = {
+        grass: { clips: ['sounds/footstep.mp3'], volume: 1.0, rate: [0.85, 1.0], filter: { type: 'lowpass', frequency: 1600 } },
+        stone: { clips: ['sounds/footstep.mp3'], volume: 1.3, rate: [1.05, 1.2], filter: { type: 'highpass', frequency: 250 } },
+        wood:  { clips: ['sounds/footstep.mp3'], volume: 1.3, rate: [0.7, 0.85], filter: { type: 'peaking', frequency: 400, gain: 8 } },
+        water: { synth: 'splash', variations: 4, volume: 1.2, rate: [0.9, 1.1] }
+    };
+    const footstepVariations = {}; // surface -> AudioBuffer[]
+    const footstepFilters = {};    // surface -> BiquadFilterNode
+    const textureSamplers = new Map(); // texture -> { data, width, height } for color lookups
+
+    let activeAction = null;
+    let verticalVelocity = 0;
+    let isGrounded = true;
+
+    // --- AIRBORNE STATE ---
+    // grounded -> takeoff -> rising -> falling -> landing -> grounded
+    // (walking off a ledge goes straight from grounded to falling)
+    const airState = {
+        phase: 'grounded',
+        peakY: 0,          // Highest point of the current airtime, for the fall height
+        landingTimer: 0,
+        hardLanding: false
+    };
+    const landingParams = {
+        minHeight: 0.4,     // Drops smaller than this (steps, snap-to-ground) don't count as landings
+        hardHeight: 6.0,    // Drops from here up cause a stagger (waterfall, castle walls)
+        softLandTime: 0.35, // Seconds of landing pose after a normal drop
+        staggerTime: 1.2,   // Seconds of lost control after a hard drop
+        clipStart: 0.6      // Normalized time in jump (2) where the touchdown starts
+    };
+
+    // --- WATER STATE ---
+    // dry -> wading (feet under the surface) -> swimming (riverbed too deep to stand on)
+    // Depth is measured from the river surface down to the riverbed under the player.
+    let splashSound;
+    const waterState = {
+        mode: 'dry',
+        surface: 0,        // River surface height at the player
+        depth: 0,          // Surface to riverbed under the player
+        submersion: 0,     // Surface to the player's feet
+        driftTime: 0,      // Seconds without swimming against the current
+        swept: false,      // Gave up fighting the current -> carried off towards the waterfall
+        strokeTimer: 0,
+        foamBurst: 0       // Foam particles still to spawn around the player (entry splash)
+    };
+    const swimParams = {
+        wadeDepth: 0.15,     // Feet this far under the surface = wading
+        swimDepth: 1.3,      // Riverbed deeper than this = can't stand, swim
+        floatDepth: 1.1,     // Feet sit this far under the surface while floating
+        buoyancy: 12.0,      // Spring towards the float depth
+        waterDrag: 3.0,      // Damps bobbing and the entry plunge
+        wadeSlowdown: 0.5,   // Speed lost at the deepest wading point
+        swimSpeed: 2.0,
+        flowCarry: 2.5,      // Drift = river speed * this
+        sweepDelay: 2.0,     // Seconds of not fighting the current before being swept away
+        sweepStrength: 2.5,  // Drift multiplier once swept
+        strokeInterval: 0.9  // Seconds between swim stroke splashes
+    };
+    const fbxLoader = new FBXLoader(loadingManager);
+
+    // Load Character and Animation
+    // Replaced Fisherman GLB with Paladin FBX
+    loadTracked(fbxLoader, sceneConfig.models.character.url, { label: 'Paladin' }, (character) => {
+        
+        // FBX usually defaults to centimeters, so scale might need adjustment (0.01).
+        // The Paladin uses 0.015 for a little bigger character (models.character.scale)
+        const characterScale = sceneConfig.models.character.scale;
+        character.scale.set(characterScale, characterScale, characterScale);
+        
+        // Set spawn point as requested
+        character.position.copy(spawnPosition); 
+        character.rotation.y = Math.PI; // Turn 180 degrees to face opposite direction
+
+        character.traverse((child) => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+            }
+        });
+
+        scene.add(character);
+        player = character;
+        initPhysics();
+
+        // Immediately update camera to follow character spawn
+        // Character is now facing +Z (Math.PI). We want camera BEHIND them (at -Z).
+        camera.position.copy(player.position);
+        camera.position.y += stances.standing.camHeight;
+        camera.position.z -= cameraBoom.distance; // Move behind character (who is facing +Z)
+        
+        camera.lookAt(player.position.x, player.position.y + 1.0, player.position.z);
+
+        // --- AUDIO: FOOTSTEPS ---
+        footstepSound = routeToBus( new THREE.PositionalAudio( listener ), 'player' );
+        footstepSound.setRefDistance( 2 ); 
+        footstepSound.setRolloffFactor( 2 );
+        footstepSound.setLoop( false );
+        player.add( footstepSound );
+        loadFootstepSounds();
+
+        // --- AUDIO: JUMP ---
+        // Start Jump
+        jumpStartSound = routeToBus( new THREE.PositionalAudio( listener ), 'player' );
+        loadAudioBuffer('sounds/jump-start.mp3').then((buffer) => {
+            jumpStartSound.setBuffer( buffer );
+            jumpStartSound.setRefDistance( 5 ); 
+            jumpStartSound.setRolloffFactor( 1 );
+            jumpStartSound.setLoop( false );
+            jumpStartSound.setVolume( 1.5 ); 
+            player.add( jumpStartSound );
+        });
+
+        // Land Jump
+        jumpEndSound = routeToBus( new THREE.PositionalAudio( listener ), 'player' );
+        loadAudioBuffer('sounds/jump-end.mp3').then((buffer) => {
+            jumpEndSound.setBuffer( buffer );
+            jumpEndSound.setRefDistance( 5 );
+            jumpEndSound.setRolloffFactor( 1 );
+            jumpEndSound.setLoop( false );
+            jumpEndSound.setVolume( 1.5 ); 
+            player.add( jumpEndSound );
+        });
+
+        // --- AUDIO: WATER ENTRY & SWIM STROKES ---
+        splashSound = routeToBus( new THREE.PositionalAudio( listener ), 'player' );
+        splashSound.setRefDistance( 4 );
+        splashSound.setRolloffFactor( 1.5 );
+        splashSound.setLoop( false );
+        player.add( splashSound );
+
+        mixer = new THREE.AnimationMixer(character);
+
+        // Load Animations
+        const animLoader = new FBXLoader(loadingManager);
+        animLoader.setPath(sceneConfig.models.character.animationPath);
+
+        // Helper to load animation
+        const loadAnim = (fileName, name) => {
+            loadTracked(animLoader, fileName, { label: `Animation: ${name}` }, (anim) => {
+                const clip = anim.animations[0];
+
+                // Layers need the idle pose as their reference, defer until it's there
+                if (upperBodyLayers.includes(name)) {
+                    // The standing guard is the hold clip played full-body, from a copy kept before it's made additive
+                    if (name === 'block_hold') actions.block_guard = mixer.clipAction(clip.clone());
+                    layerClips[name] = clip;
+                    buildUpperBodyLayers();
+                    return;
+                }
+
+                // --- Code Fix: Force "In Place" Animation ---
+                // Only necessary for moving animations like walk/run
+                // Combat moves are locked too: the swing must not drag the capsule away from the collision rays
+                if (name === 'walk' || name === 'run' || name === 'jump' || name === 'land' || name.includes('strafe') || name === 'crouch_walk' || name === 'crouch_fast' || combatMoves[name]) {
+                    clip.tracks.forEach(track => {
+                        // Look for position tracks on the Root/Hips
+                        // (Matches "mixamorig:Hips.position", "J_Bip_C_Hips.position", etc.)
+                        if (track.name.match(/\.position/i) && track.name.match(/hips|root|pelvis/i)) {
+                            const values = track.values;
+                            // Get starting position (frame 0)
+                            const startX = values[0];
+                            const startZ = values[2];
+
+                            // Overwrite X and Z values for all frames to lock character in place
+                            // We keep Y (index i+1) so the hips still bob up and down
+                            for (let i = 0; i < values.length; i += 3) {
+                                values[i] = startX;     // Lock X
+                                values[i+2] = startZ;   // Lock Z
+                            }
+                        }
+                    });
+                }
+
+                const action = mixer.clipAction(clip);
+                actions[name] = action;
+
+                if (locomotionClips.includes(name)) {
+                    footContacts[name] = detectFootContacts(clip);
+                }
+
+                if (name === 'jump') {
+                    action.setLoop(THREE.LoopOnce); // Jump should play once
+                    action.clampWhenFinished = true;
+                }
+
+                if (combatMoves[name]) {
+                    action.setLoop(THREE.LoopOnce); // Swings play once, updateCombat() decides what follows
+                    action.clampWhenFinished = true;
+                }
+
+                if (name === 'crouch_enter' || name === 'land' || name === 'stagger') {
+                    action.setLoop(THREE.LoopOnce); // One-shot, the state machine decides what follows
+                    action.clampWhenFinished = true;
+                }
+
+                if (name === 'idle') {
+                    action.play();
+                    activeAction = action;
+                    buildUpperBodyLayers();
+                }
+            });
+        };
+
+        // Turn upper-body clips into additive layers relative to the idle pose.
+        // Runs after every relevant load; builds whatever is ready and not built yet.
+        const buildUpperBodyLayers = () => {
+            if (!actions.idle) return;
+            const referenceClip = actions.idle.getClip();
+
+            upperBodyLayers.forEach(name => {
+                const clip = layerClips[name];
+                if (!clip || actions[name]) return;
+
+                // Keep only upper-body rotations that the reference also animates
+                clip.tracks = clip.tracks.filter(track =>
+                    track.name.endsWith('.quaternion') &&
+                    upperBodyBonePattern.test(track.name) &&
+                    referenceClip.tracks.some(ref => ref.name === track.name)
+                );
+                THREE.AnimationUtils.makeClipAdditive(clip, 0, referenceClip);
+
+                const action = mixer.clipAction(clip);
+                if (name === 'block_raise') {
+                    action.setLoop(THREE.LoopOnce);
+                    action.clampWhenFinished = true; // Hold the end pose while the weight blends out
+                } else {
+                    action.play(); // Always running, updateBlock() drives the weight
+                }
+                action.setEffectiveWeight(0);
+                actions[name] = action;
+            });
+        };
+
+        loadAnim('sword and shield idle.fbx', 'idle');
+        loadAnim('sword and shield walk.fbx', 'walk');
+        loadAnim('sword and shield run.fbx', 'run');
+        loadAnim('sword and shield jump.fbx', 'jump');
+        loadAnim('sword and shield jump (2).fbx', 'land');
+        loadAnim('sword and shield impact.fbx', 'stagger');     // Hard landing
+        loadAnim('sword and shield strafe.fbx', 'strafe_right');     // Assuming 1 is right
+        loadAnim('sword and shield strafe (2).fbx', 'strafe_left');  // Assuming 2 is left
+
+        // Combat
+        comboChain.forEach(name => loadAnim(combatMoves[name].file, name));
+        loadAnim('sword and shield block.fbx', 'block_raise');
+        loadAnim('sword and shield block idle.fbx', 'block_hold');
+        loadAnim('sword and shield crouch block idle.fbx', 'block_guard_crouch');
+
+        // Crouch / Sneak
+        loadAnim('sword and shield crouch.fbx', 'crouch_enter');
+        loadAnim('sword and shield crouch idle.fbx', 'crouch_idle');
+        loadAnim('sword and shield crouching (2).fbx', 'crouch_walk');
+        loadAnim('sword and shield crouching (3).fbx', 'crouch_fast');
+
+    });
+
+    // One fixed simulation step: input, movement, gravity and jump (the realm's loop steps the
+    // water particles and rain alongside it)
+    function simulate(delta) {
+        if (!player || !physicsWorld) return;
+
+        updateWaterState();
+        const isSwimming = waterState.mode === 'swimming';
+
+        // Translation we'd like to make this step; the controller resolves it against the terrain
+        const desiredMove = new THREE.Vector3();
+
+        // 2. Control Application
+        if (controls.isLocked || (realm.world.gameActive && isMobile)) {
+           // Get the direction the camera is looking (horizontal only)
+           const cameraForward = new THREE.Vector3();
+           camera.getWorldDirection(cameraForward);
+           cameraForward.y = 0;
+           cameraForward.normalize();
+           
+           // Calculate Camera Angle (Base Rotation)
+           let camAngle = 0;
+           if (cameraForward.length() > 0) {
+               camAngle = Math.atan2(cameraForward.x, cameraForward.z);
+           }
+           
+           // --- Movement & Animation Logic ---
+           const isMoving = keys.w || keys.a || keys.s || keys.d || Math.abs(joystickVector.x) > 0.1 || Math.abs(joystickVector.y) > 0.1;
+           // Raise / hold / drop the shield before speeds and clips are picked
+           updateBlock(delta, isMoving);
+           updateCrouch(isMoving);
+           const stance = getStance();
+
+           const isRunning = keys.shift && isMoving && !blockState.active && !crouchState.crouched; // Can't sprint behind the shield or crouched
+           
+           // Determine Input Rotation Offset (WASD + Joystick)
+           // W = 0, A = 90, S = 180, D = -90
+           let inputAngle = 0;
+           if (isMoving) {
+               // Calculate input vector
+               // Keyboard: W=1, S=-1. Joystick: Up (neg y)=1, Down (pos y)=-1
+               let z = Number(keys.w) - Number(keys.s);
+               z -= joystickVector.y; 
+
+               // Keyboard: A=1, D=-1. Joystick: Left (neg x)=1, Right (pos x)=-1
+               let x = Number(keys.a) - Number(keys.d);
+               x -= joystickVector.x;
+
+               inputAngle = Math.atan2(x, z); 
+           }
+
+           // Apply Rotation: Camera Angle + Input Angle
+           // Smoothly rotate towards the target angle
+           const targetRotation = camAngle + inputAngle;
+           const targetQuaternion = new THREE.Quaternion();
+           targetQuaternion.setFromEuler(new THREE.Euler(0, targetRotation, 0));
+           
+           // Root-locked while swinging: keep facing the direction the attack started in
+           const isAttacking = combatState.currentMove !== null;
+           // Lost control for a moment after a big drop
+           const isStaggered = airState.phase === 'landing' && airState.hardLanding;
+
+           if (!isAttacking && !isStaggered && !player.quaternion.equals(targetQuaternion)) {
+               // 10.0 is the rotation speed. Higher = snappier, Lower = smoother / heavier
+               player.quaternion.slerp(targetQuaternion, 10.0 * delta);
+           }
+           
+           // Jump Input
+           if (keys.space && isGrounded && !isAttacking && !isStaggered && !crouchState.crouched) {
+               verticalVelocity = 10.0; // Jump force
+               isGrounded = false;
+               airState.phase = 'takeoff';
+               airState.peakY = player.position.y;
+
+                // Play Jump Sound (the landing sound is played by land() on actual ground contact)
+                if (jumpStartSound && jumpStartSound.buffer && !jumpStartSound.isPlaying) {
+                    jumpStartSound.play();
+                }
+               
+               // Play jump anim
+               if (actions.jump) {
+                   activeAction.fadeOut(0.1);
+                   actions.jump.reset().fadeIn(0.1).play();
+                   activeAction = actions.jump;
+               }
+           }
+           
+           // Gravity (buoyancy takes over in deep water)
+           if (isSwimming) {
+               const floatError = (waterState.surface - swimParams.floatDepth) - player.position.y;
+               verticalVelocity += (floatError * swimParams.buoyancy - verticalVelocity * swimParams.waterDrag) * delta;
+           } else {
+               verticalVelocity -= 20.0 * delta; // Gravity scale
+           }
+           desiredMove.y += verticalVelocity * delta;
+
+           // Determine Animation & Speed
+           let targetActionName = 'idle';
+           let moveSpeed = 0;
+           
+           // calculate speed
+           if (isMoving) {
+                // If moving, we are ALWAYS facing "Forward" relative to our movement now.
+                // So checking keys.s doesn't mean "backward" animation anymore, it means "Turn around and run forward".
+                // Exception: If you want S to still be "Backpedal" you need different logic.
+                // But you asked for "Rotate character like GTA", which means S turns you around.
+                
+                // Uniform speed for now (or sprint)
+                if (crouchState.crouched) {
+                    // Shift while sneaking = faster sneak, never a full run
+                    moveSpeed = keys.shift ? crouchFastSpeed : crouchSpeed;
+                    targetActionName = keys.shift ? 'crouch_fast' : 'crouch_walk';
+                } else {
+                    moveSpeed = isRunning ? 10.0 : 4.0;
+                    targetActionName = isRunning ? 'run' : 'walk';
+                }
+                if (blockState.active) moveSpeed *= blockSpeedMultiplier;
+           } else if (blockState.raised && actions[crouchState.crouched ? 'block_guard_crouch' : 'block_guard']) {
+                // Planted guard stance (standing or crouched); the upper-body layer only covers walking
+                targetActionName = crouchState.crouched ? 'block_guard_crouch' : 'block_guard';
+           } else if (crouchState.crouched) {
+                targetActionName = crouchState.entering ? 'crouch_enter' : 'crouch_idle';
+           }
+           
+           // Slow strokes when swimming - no sprinting, sneaking or guard stance
+           if (isSwimming) {
+               moveSpeed = isMoving ? swimParams.swimSpeed : 0;
+               targetActionName = isMoving ? 'walk' : 'idle';
+           }
+
+           if (!isGrounded && !isSwimming && activeAction === actions.jump) {
+               targetActionName = 'jump';
+           } 
+
+           // Touchdown pose; a soft landing is skipped as soon as the player walks on
+           if (airState.phase === 'landing' && (isStaggered || !isMoving)) {
+               targetActionName = isStaggered ? 'stagger' : 'land';
+           }
+           
+           // Apply Movement Physics (Always Forward along Player Z)
+           if (isMoving && !isAttacking && !isStaggered) {
+                // We rotated the player to face the travel direction.
+                // Now we just move "Forward" in local space.
+                const worldMoveDir = new THREE.Vector3(0, 0, 1).applyQuaternion(player.quaternion);
+                
+                // --- RIVER PHYSICS: Flow Speed Modification ---
+                if (waterState.mode === 'wading') {
+                    // Dot Product: 1.0 = With Flow, -1.0 = Against Flow
+                    const alignment = worldMoveDir.dot(getFlowDirection(player.position, new THREE.Vector3()));
+                    
+                    // Apply Speed Modifier
+                    // With Flow = Faster (+50%)
+                    // Against Flow = Slower (-50%)
+                    const flowEffect = 0.5;
+                    moveSpeed *= (1.0 + (alignment * flowEffect));
+
+                    // Deeper water drags at the legs
+                    moveSpeed *= 1.0 - swimParams.wadeSlowdown * Math.min(1, waterState.submersion / swimParams.swimDepth);
+                }
+                
+                // Walls, slopes and steps are resolved by the character controller
+                desiredMove.addScaledVector(worldMoveDir, moveSpeed * delta);
+           }
+
+           if (isSwimming) updateSwimming(desiredMove, delta, isMoving && !isAttacking);
+
+           // Handle Animation Crossfade (Only if we aren't already jumping/locked)
+           // If we land, we switch back.
+           if (targetActionName !== 'jump' && actions.jump && activeAction === actions.jump && !isGrounded && !isSwimming) {
+               // Doing nothing, let jump finish or fall
+           } else if (isAttacking) {
+               // Swing owns the character until updateCombat() releases it
+           } else {
+               const targetAction = actions[targetActionName];
+               
+               // If run/strafe speed up
+               if (targetActionName.includes('strafe') && isRunning) {
+                   targetAction.timeScale = 2.0;
+               } else if ((targetActionName === 'walk' || targetActionName === 'crouch_walk') && blockState.active) {
+                   targetAction.timeScale = 0.6; // Shuffle to match the reduced speed
+               } else if (targetActionName === 'walk' && isSwimming) {
+                   targetAction.timeScale = 0.5; // Treading water
+               } else if (targetAction) {
+                   targetAction.timeScale = 1.0;
+               }
+
+               if (targetAction && activeAction !== targetAction) {
+                   if (activeAction) activeAction.fadeOut(0.2);
+                   targetAction.reset().fadeIn(0.2).play();
+                   activeAction = targetAction;
+               }
+           }
+
+           // --- End Movement Logic ---
+        }
+
+        movePlayer(desiredMove);
+        updateAirborne(delta);
+
+        // Last-resort safety net, not part of normal collision: the character controller keeps the
+        // Paladin on the terrain, but the book's trimesh has open edges and no walls around it, so
+        // walking off the page would otherwise mean falling forever. Back to spawn instead
+        if (player.position.y < -10) {
+            teleportPlayer(spawnPosition);
+        }
+    }
+
+    function updateCameraFollow(delta) {
+        if (controls.isLocked || (realm.world.gameActive && isMobile)) {
+            // Move Camera Pivot Position
+            // PointerLockControls rotates the camera purely. 
+            // We need to orbit the camera position around the player based on that rotation.
+            const boom = cameraBoom;
+
+            // Ease the pivot to / from the shoulder
+            const shoulderTarget = boom.overShoulder ? boom.shoulderOffset : 0;
+            boom.currentShoulder += (shoulderTarget - boom.currentShoulder) * (1 - Math.exp(-boom.shoulderSpeed * delta));
+
+            const camDir = new THREE.Vector3();
+            camera.getWorldDirection(camDir);
+            const camRight = new THREE.Vector3().crossVectors(camDir, camera.up).normalize();
+
+            const pivot = player.position.clone();
+            pivot.y += getStance().camHeight;
+            pivot.addScaledVector(camRight, boom.currentShoulder);
+
+            // Sphere cast backwards from the pivot; pull in at once, spring back out smoothly
+            const back = camDir.clone().negate();
+            const clearDistance = castCameraProbe(pivot, back, boom.distance);
+            if (clearDistance < boom.currentDistance) {
+                boom.currentDistance = clearDistance;
+            } else {
+                boom.currentDistance += (clearDistance - boom.currentDistance) * (1 - Math.exp(-boom.returnSpeed * delta));
+            }
+
+            // Never closer than minDistance - fade what's in the way instead
+            const occluded = clearDistance < boom.minDistance;
+            const distance = Math.max(boom.currentDistance, boom.minDistance);
+
+            // Snap camera to pivot + boom
+            camera.position.copy(pivot).addScaledVector(back, distance);
+
+            updateOccluderFade(pivot, occluded, delta);
+        }
+    }
+
+    // --- CAMERA BOOM IMPLEMENTATION FUNCTIONS ---
+
+    function zoomCamera(factor) {
+        cameraBoom.distance = THREE.MathUtils.clamp(cameraBoom.distance * factor, cameraBoom.minDistance, cameraBoom.maxDistance);
+    }
+
+    // Distance the camera can move from `origin` along `direction` before touching the terrain
+    function castCameraProbe(origin, direction, maxDistance) {
+        if (!physicsWorld) return maxDistance;
+
+        const hit = physicsWorld.castShape(
+            origin,
+            { x: 0, y: 0, z: 0, w: 1 },
+            direction,
+            new RAPIER.Ball(cameraBoom.probeRadius),
+            0,
+            maxDistance,
+            true,
+            undefined, undefined, undefined,
+            playerBody
+        );
+        return hit ? hit.time_of_impact : maxDistance;
+    }
+
+    // Fade terrain meshes between camera and pivot (when occluded), restore the rest
+    function updateOccluderFade(pivot, occluded, delta) {
+        const wanted = new Set();
+
+        if (occluded && physicsWorld) {
+            const toPivot = pivot.clone().sub(camera.position);
+            const length = toPivot.length();
+            const ray = new RAPIER.Ray(camera.position, toPivot.divideScalar(length));
+            physicsWorld.intersectionsWithRay(ray, length, true, (intersect) => {
+                const mesh = colliderMeshes.get(intersect.collider.handle);
+                if (mesh) wanted.add(mesh);
+                return true; // Keep going, there may be several
+            }, undefined, undefined, undefined, playerBody);
+        }
+
+        // Swap in a transparent copy of the material(s) so shared materials elsewhere stay solid
+        wanted.forEach((mesh) => {
+            if (fadedMeshes.has(mesh)) return;
+            const original = mesh.material;
+            const faded = (Array.isArray(original) ? original : [original]).map((material) => {
+                const copy = material.clone();
+                copy.onBeforeCompile = material.onBeforeCompile; // Keep cloud shadows
+                copy.transparent = true;
+                copy.depthWrite = false;
+                return copy;
+            });
+            mesh.material = Array.isArray(original) ? faded : faded[0];
+            fadedMeshes.set(mesh, { original, faded });
+        });
+
+        const blend = 1 - Math.exp(-cameraBoom.fadeSpeed * delta);
+        fadedMeshes.forEach((entry, mesh) => {
+            const target = wanted.has(mesh) ? cameraBoom.fadeOpacity : 1;
+            entry.faded.forEach((material) => {
+                material.opacity += (target - material.opacity) * blend;
+            });
+
+            // Fully back -> restore the shared original
+            if (target === 1 && entry.faded[0].opacity > 0.99) {
+                mesh.material = entry.original;
+                entry.faded.forEach((material) => material.dispose());
+                fadedMeshes.delete(mesh);
+            }
+        });
+    }
+
+    // --- SIMULATION POSE INTERPOLATION ---
+    // player.position/quaternion hold the simulated state while stepping and the
+    // interpolated state while rendering; simPose keeps the real one in between.
+
+    function restoreSimulatedPose() {
+        if (!player) return;
+        if (!simPose.initialized) {
+            simPose.position.copy(player.position);
+            simPose.quaternion.copy(player.quaternion);
+            simPose.prevPosition.copy(player.position);
+            simPose.prevQuaternion.copy(player.quaternion);
+            simPose.initialized = true;
+        }
+        player.position.copy(simPose.position);
+        player.quaternion.copy(simPose.quaternion);
+    }
+
+    function storePreviousPose() {
+        if (!player) return;
+        simPose.prevPosition.copy(player.position);
+        simPose.prevQuaternion.copy(player.quaternion);
+    }
+
+    function applyInterpolatedPose(alpha) {
+        if (!player) return;
+        simPose.position.copy(player.position);
+        simPose.quaternion.copy(player.quaternion);
+        player.position.lerpVectors(simPose.prevPosition, simPose.position, alpha);
+        player.quaternion.slerpQuaternions(simPose.prevQuaternion, simPose.quaternion, alpha);
+    }
+
+    // --- COMBAT IMPLEMENTATION FUNCTIONS ---
+
+    // Called from mouse / mobile input. Starts a combo or buffers the next swing.
+    function queueAttack() {
+        if (!player || !realm.world.gameActive || blockState.active || crouchState.crouched) return;
+        if (airState.phase === 'landing' && airState.hardLanding) return;
+
+        if (combatState.currentMove) {
+            // Mid-swing: remember the click, updateCombat() chains at comboStart
+            combatState.bufferedAttack = true;
+            return;
+        }
+
+        // Can't start a swing in the air
+        if (!isGrounded) return;
+        startAttack(0);
+    }
+
+    function startAttack(index) {
+        const name = comboChain[index];
+        const action = actions[name];
+        if (!action) return; // Clip not loaded yet
+
+        // Close the previous move's hit window before switching
+        if (combatState.currentMove && combatState.hitActive) {
+            combatEvents.dispatchEvent({ type: 'hitend', move: combatState.currentMove, comboIndex: combatState.comboIndex });
+        }
+
+        if (activeAction && activeAction !== action) activeAction.fadeOut(0.1);
+        action.reset().fadeIn(0.1).play();
+        activeAction = action;
+
+        combatState.currentMove = name;
+        combatState.comboIndex = index;
+        combatState.bufferedAttack = false;
+        combatState.hitFired = false;
+        combatState.hitActive = false;
+
+        combatEvents.dispatchEvent({ type: 'attackstart', move: name, comboIndex: index });
+    }
+
+    function endAttack() {
+        const name = combatState.currentMove;
+        if (combatState.hitActive) {
+            combatEvents.dispatchEvent({ type: 'hitend', move: name, comboIndex: combatState.comboIndex });
+        }
+
+        combatState.currentMove = null;
+        combatState.comboIndex = 0;
+        combatState.bufferedAttack = false;
+        combatState.hitFired = false;
+        combatState.hitActive = false;
+
+        // activeAction stays on the swing; the locomotion crossfade in simulate() picks idle/walk next frame
+        combatEvents.dispatchEvent({ type: 'attackend', move: name });
+    }
+
+    function updateCombat() {
+        const name = combatState.currentMove;
+        if (!name) return;
+
+        const move = combatMoves[name];
+        const action = actions[name];
+        const progress = action.time / action.getClip().duration;
+
+        // Hit Window (hitFired guards against a lag spike skipping the whole window)
+        if (!combatState.hitFired && progress >= move.hitStart) {
+            combatState.hitFired = true;
+            combatState.hitActive = true;
+
+            const origin = player.position.clone();
+            origin.y += 1.0; // Sword arm height
+            const direction = new THREE.Vector3(0, 0, 1).applyQuaternion(player.quaternion);
+
+            combatEvents.dispatchEvent({
+                type: 'hitstart',
+                move: name,
+                comboIndex: combatState.comboIndex,
+                damage: move.damage,
+                origin: origin,
+                direction: direction
+            });
+        }
+        if (combatState.hitActive && progress >= move.hitEnd) {
+            combatState.hitActive = false;
+            combatEvents.dispatchEvent({ type: 'hitend', move: name, comboIndex: combatState.comboIndex });
+        }
+
+        // Combo Chain
+        const hasNext = combatState.comboIndex < comboChain.length - 1;
+        if (combatState.bufferedAttack && hasNext && progress >= move.comboStart) {
+            startAttack(combatState.comboIndex + 1);
+            return;
+        }
+
+        // Swing finished without a follow-up click
+        if (progress >= 1 || !action.isRunning()) {
+            endAttack();
+        }
+    }
+
+    // --- BLOCK / PARRY IMPLEMENTATION FUNCTIONS ---
+
+    function updateBlock(delta, isMoving) {
+        const wantsBlock = keys.block && isGrounded && !combatState.currentMove;
+        if (wantsBlock && !blockState.active) {
+            startBlock();
+        } else if (!wantsBlock && blockState.active) {
+            endBlock();
+        }
+
+        if (blockState.active) blockState.heldTime += delta;
+        blockState.parrying = blockState.active && blockState.heldTime < parryWindow;
+
+        const raise = actions.block_raise;
+        const raising = blockState.active && raise !== null && raise.isRunning();
+        blockState.raised = blockState.active && !raising;
+
+        // Smooth the layer weights so the shield doesn't pop in/out
+        const blend = Math.min(1, delta * 12);
+        setLayerWeight(raise, raising ? 1 : 0, blend);
+        setLayerWeight(actions.block_hold, blockState.raised && isMoving ? 1 : 0, blend);
+    }
+
+    function setLayerWeight(action, target, blend) {
+        if (!action) return;
+        action.setEffectiveWeight(THREE.MathUtils.lerp(action.getEffectiveWeight(), target, blend));
+    }
+
+    function startBlock() {
+        blockState.active = true;
+        blockState.raised = false;
+        blockState.heldTime = 0;
+
+        if (actions.block_raise) {
+            actions.block_raise.reset().play();
+            actions.block_raise.setEffectiveWeight(1);
+        }
+        combatEvents.dispatchEvent({ type: 'blockstart' });
+    }
+
+    function endBlock() {
+        blockState.active = false;
+        blockState.raised = false;
+        blockState.parrying = false;
+        combatEvents.dispatchEvent({ type: 'blockend' });
+    }
+
+    // Hook for anything that swings at the Paladin. Returns 'parry', 'block' or 'hit'.
+    function resolveIncomingStrike(sourcePosition) {
+        if (!player || !blockState.active) return 'hit';
+
+        const toSource = sourcePosition.clone().sub(player.position);
+        toSource.y = 0;
+        toSource.normalize();
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(player.quaternion);
+
+        // Shield only covers the front
+        if (forward.dot(toSource) < shieldArc) return 'hit';
+
+        const result = blockState.parrying ? 'parry' : 'block';
+        combatEvents.dispatchEvent({ type: result, source: sourcePosition });
+        return result;
+    }
+
+    // --- PHYSICS IMPLEMENTATION FUNCTIONS ---
+
+    // Builds the world once both the book and the Paladin are in the scene
+    function initPhysics() {
+        if (!realm.world.terrain || !player) return;
+
+        rapierReady.then(() => {
+            if (physicsWorld || realm.disposed) return;
+
+            // Gravity is applied by hand through verticalVelocity, the player is kinematic
+            physicsWorld = new RAPIER.World({ x: 0, y: 0, z: 0 });
+            createTerrainColliders(realm.world.terrain);
+
+            const bodyDesc = RAPIER.RigidBodyDesc.kinematicPositionBased()
+                .setTranslation(player.position.x, player.position.y, player.position.z);
+            playerBody = physicsWorld.createRigidBody(bodyDesc);
+
+            const stance = getStance();
+            const capsuleDesc = RAPIER.ColliderDesc.capsule(getCapsuleHalfHeight(stance), characterParams.radius)
+                .setTranslation(0, stance.height / 2, 0); // Body origin stays at the feet like player.position
+            playerCollider = physicsWorld.createCollider(capsuleDesc, playerBody);
+
+            characterController = physicsWorld.createCharacterController(characterParams.skinOffset);
+            characterController.setMaxSlopeClimbAngle(THREE.MathUtils.degToRad(characterParams.maxSlopeClimb));
+            characterController.setMinSlopeSlideAngle(THREE.MathUtils.degToRad(characterParams.minSlopeSlide));
+            characterController.enableAutostep(characterParams.stepHeight, characterParams.stepMinWidth, false);
+            characterController.enableSnapToGround(characterParams.snapToGround);
+            characterController.setSlideEnabled(true);
+
+            // Populate the broad phase so the first movement query sees the terrain
+            physicsWorld.step();
+        });
+    }
+
+    // Bakes every mesh of the book into a world-space trimesh collider (one per mesh)
+    function createTerrainColliders(model) {
+        model.updateMatrixWorld(true);
+        const v = new THREE.Vector3();
+
+        model.traverse((child) => {
+            if (!child.isMesh) return;
+
+            const position = child.geometry.attributes.position;
+            const vertices = new Float32Array(position.count * 3);
+            for (let i = 0; i < position.count; i++) {
+                v.fromBufferAttribute(position, i).applyMatrix4(child.matrixWorld);
+                vertices[i * 3] = v.x;
+                vertices[i * 3 + 1] = v.y;
+                vertices[i * 3 + 2] = v.z;
+            }
+
+            const index = child.geometry.index;
+            const indices = index
+                ? Uint32Array.from(index.array)
+                : Uint32Array.from({ length: position.count }, (_, i) => i);
+
+            const collider = physicsWorld.createCollider(RAPIER.ColliderDesc.trimesh(vertices, indices));
+            colliderMeshes.set(collider.handle, child);
+        });
+    }
+
+    function getCapsuleHalfHeight(stance) {
+        // Capsule = cylinder (2 * halfHeight) + two hemispheres (radius each)
+        return Math.max(0.05, stance.height / 2 - characterParams.radius);
+    }
+
+    // Resize the capsule when the stance changes, keeping the feet where they are
+    function applyCapsuleStance() {
+        if (!playerCollider) return;
+        const stance = getStance();
+        playerCollider.setHalfHeight(getCapsuleHalfHeight(stance));
+        playerCollider.setTranslationWrtParent({ x: 0, y: stance.height / 2, z: 0 });
+    }
+
+    function movePlayer(desiredMove) {
+        characterController.computeColliderMovement(playerCollider, desiredMove);
+        const moved = characterController.computedMovement();
+
+        // Hit our head on a ceiling: stop rising
+        if (desiredMove.y > 0 && moved.y < desiredMove.y * 0.5) {
+            verticalVelocity = 0;
+        }
+
+        // Grounded only counts while not on the way up (jump takeoff still touches the floor)
+        isGrounded = characterController.computedGrounded() && verticalVelocity <= 0;
+        if (isGrounded) {
+            verticalVelocity = 0;
+        }
+
+        const current = playerBody.translation();
+        const next = { x: current.x + moved.x, y: current.y + moved.y, z: current.z + moved.z };
+        playerBody.setNextKinematicTranslation(next);
+        physicsWorld.step();
+
+        player.position.set(next.x, next.y, next.z);
+    }
+
+    function teleportPlayer(position) {
+        player.position.copy(position);
+        simPose.prevPosition.copy(position); // Don't interpolate across the teleport
+        verticalVelocity = 0;
+        airState.phase = 'falling';
+        airState.peakY = position.y; // Fall height counts from here, not from where we fell off
+        if (playerBody) {
+            playerBody.setTranslation({ x: position.x, y: position.y, z: position.z }, true);
+            physicsWorld.step();
+        }
+    }
+
+    // --- AIRBORNE IMPLEMENTATION FUNCTIONS ---
+
+    // Runs after movePlayer() so isGrounded reflects this step's ground contact
+    function updateAirborne(delta) {
+        const y = player.position.y;
+
+        // Floating: the water caught the fall, nothing to land on
+        if (waterState.mode === 'swimming') {
+            airState.phase = 'grounded';
+            airState.hardLanding = false;
+            return;
+        }
+
+        switch (airState.phase) {
+            case 'grounded':
+                if (!isGrounded) {
+                    // Walked off a ledge
+                    airState.phase = 'falling';
+                    airState.peakY = y;
+                }
+                break;
+
+            case 'takeoff':
+                // One step for the capsule to leave the floor before we start checking contact
+                airState.phase = 'rising';
+                break;
+
+            case 'rising':
+                airState.peakY = Math.max(airState.peakY, y);
+                if (verticalVelocity <= 0) airState.phase = 'falling'; // Apex, or bumped a ceiling
+                break;
+
+            case 'falling':
+                airState.peakY = Math.max(airState.peakY, y);
+                if (isGrounded) land(airState.peakY - y);
+                break;
+
+            case 'landing':
+                airState.landingTimer -= delta;
+                if (!isGrounded) {
+                    airState.phase = 'falling';
+                    airState.peakY = y;
+                } else if (airState.landingTimer <= 0) {
+                    airState.phase = 'grounded';
+                    airState.hardLanding = false;
+                }
+                break;
+        }
+    }
+
+    function land(fallHeight) {
+        if (fallHeight < landingParams.minHeight) {
+            // Stepped down a ledge, nothing to play
+            airState.phase = 'grounded';
+            return;
+        }
+
+        // Water breaks the fall, even when it's too shallow to swim in
+        const hard = fallHeight >= landingParams.hardHeight && waterState.mode === 'dry';
+        airState.phase = 'landing';
+        airState.hardLanding = hard;
+        airState.landingTimer = hard ? landingParams.staggerTime : landingParams.softLandTime;
+
+        // Land Sound - louder the further we fell
+        if (jumpEndSound && jumpEndSound.buffer) {
+            if (jumpEndSound.isPlaying) jumpEndSound.stop();
+            jumpEndSound.setVolume(Math.min(3.0, 1.0 + fallHeight / landingParams.hardHeight));
+            jumpEndSound.play();
+        }
+
+        // Start the touchdown clip here so the soft landing can begin at its contact frame
+        const action = actions[hard ? 'stagger' : 'land'];
+        if (action && !combatState.currentMove) {
+            if (activeAction && activeAction !== action) activeAction.fadeOut(0.1);
+            action.reset();
+            if (!hard) action.time = action.getClip().duration * landingParams.clipStart;
+            action.fadeIn(0.1).play();
+            activeAction = action;
+        }
+    }
+
+    // --- WATER STATE IMPLEMENTATION FUNCTIONS ---
+
+    const _flowDirection = new THREE.Vector3();
+    const _swimHeading = new THREE.Vector3();
+
+    // Measures how deep the player is in the river and switches between dry / wading / swimming
+    function updateWaterState() {
+        const previous = waterState.mode;
+        let mode = 'dry';
+        waterState.depth = 0;
+        waterState.submersion = 0;
+
+        const river = sampleRiverAt(player.position);
+        if (realm.water.mesh && river.inside) {
+            waterState.surface = river.position.y;
+            waterState.submersion = waterState.surface - player.position.y;
+            if (waterState.submersion > swimParams.wadeDepth) {
+                waterState.depth = waterState.surface - getRiverbedHeight(player.position, waterState.surface);
+                // A little hysteresis so we don't flicker on the edge of the deep part
+                const swimDepth = previous === 'swimming' ? swimParams.swimDepth - 0.1 : swimParams.swimDepth;
+                mode = waterState.depth > swimDepth ? 'swimming' : 'wading';
+            }
+        }
+
+        if (mode === previous) return;
+
+        if (previous === 'dry') {
+            // Entry splash - louder and foamier the harder we hit the water
+            const impact = Math.min(1, Math.abs(verticalVelocity) / 15);
+            playSplash(0.8 + impact * 1.7);
+            waterState.foamBurst += 20 + Math.round(impact * 60);
+        } else if (mode === 'swimming') {
+            playSplash(0.6); // Waded out of our depth
+        }
+
+        // Snap-to-ground would drag a floating player down onto the riverbed
+        if (mode === 'swimming') {
+            characterController.disableSnapToGround();
+        } else if (previous === 'swimming') {
+            characterController.enableSnapToGround(characterParams.snapToGround);
+        }
+
+        if (mode !== 'swimming') {
+            waterState.driftTime = 0;
+            waterState.swept = false;
+        }
+        waterState.mode = mode;
+    }
+
+    // Terrain height under the position (-Infinity when there's nothing below, e.g. past the falls)
+    function getRiverbedHeight(position, surface) {
+        const top = Math.max(position.y, surface) + 0.5;
+        const ray = new RAPIER.Ray({ x: position.x, y: top, z: position.z }, { x: 0, y: -1, z: 0 });
+        const hit = physicsWorld.castRay(ray, 20.0, true, undefined, undefined, undefined, playerBody);
+        return hit ? top - hit.timeOfImpact : -Infinity;
+    }
+
+    // The current carries swimmers downstream; stop fighting it and it sweeps them to the waterfall
+    function updateSwimming(desiredMove, delta, isMoving) {
+        const flowDir = getFlowDirection(player.position, _flowDirection);
+        const heading = _swimHeading.set(0, 0, 1).applyQuaternion(player.quaternion);
+
+        if (isMoving && heading.dot(flowDir) < -0.3) {
+            waterState.driftTime = 0;
+            waterState.swept = false;
+        } else {
+            waterState.driftTime += delta;
+            if (waterState.driftTime > swimParams.sweepDelay) waterState.swept = true;
+        }
+
+        const carry = riverParams.speed * swimParams.flowCarry * (waterState.swept ? swimParams.sweepStrength : 1);
+        desiredMove.addScaledVector(flowDir, carry * delta);
+
+        // Stroke splashes while swimming
+        waterState.strokeTimer -= delta;
+        if (isMoving && waterState.strokeTimer <= 0) {
+            waterState.strokeTimer = swimParams.strokeInterval;
+            playSplash(0.5);
+            waterState.foamBurst += 6;
+        }
+    }
+
+    function playSplash(volume) {
+        const variations = footstepVariations.water;
+        if (!splashSound || !variations || variations.length === 0) return;
+
+        if (splashSound.isPlaying) splashSound.stop();
+        splashSound.setBuffer(variations[Math.floor(Math.random() * variations.length)]);
+        splashSound.setVolume(volume);
+        splashSound.setPlaybackRate(volume > 1.5 ? 0.7 : 0.9 + Math.random() * 0.2); // Big splashes sound heavier
+        splashSound.play();
+    }
+
+    // --- CROUCH / SNEAK IMPLEMENTATION FUNCTIONS ---
+
+    function getStance() {
+        return crouchState.crouched ? stances.crouching : stances.standing;
+    }
+
+    function updateCrouch(isMoving) {
+        if (crouchState.wanted && !crouchState.crouched && isGrounded) {
+            crouchState.crouched = true;
+            crouchState.entering = actions.crouch_enter !== null;
+            applyCapsuleStance();
+        } else if (!crouchState.wanted && crouchState.crouched && hasHeadroom(stances.standing.height)) {
+            // Only stand up once there's room for the full capsule
+            crouchState.crouched = false;
+            crouchState.entering = false;
+            applyCapsuleStance();
+        }
+
+        // Transition done (or interrupted by moving) -> crouch idle loop
+        if (crouchState.entering) {
+            const enter = actions.crouch_enter;
+            if (isMoving || (activeAction === enter && !enter.isRunning())) {
+                crouchState.entering = false;
+            }
+        }
+    }
+
+    function hasHeadroom(height) {
+        if (!physicsWorld) return true;
+        const origin = { x: player.position.x, y: player.position.y + 0.2, z: player.position.z };
+        const ray = new RAPIER.Ray(origin, { x: 0, y: 1, z: 0 });
+        const hit = physicsWorld.castRay(ray, height - 0.2, true, undefined, undefined, undefined, playerBody);
+        return hit === null;
+    }
+
+    // --- FOOTSTEP IMPLEMENTATION FUNCTIONS ---
+
+    // Samples the clip on the character and takes the lowest point of each foot as its contact
+    function detectFootContacts(clip) {
+        const findBone = (side) => {
+            let bone = null;
+            player.traverse((child) => {
+                if (!bone && child.isBone && child.name.endsWith(`${side}Foot`)) bone = child;
+            });
+            return bone;
+        };
+        const feet = [findBone('Left'), findBone('Right')];
+        if (!feet[0] || !feet[1]) return [0, 0.5]; // Unknown rig - assume an even gait
+
+        const probeMixer = new THREE.AnimationMixer(player);
+        probeMixer.clipAction(clip).play();
+
+        const samples = 60;
+        const lowest = feet.map(() => ({ y: Infinity, t: 0 }));
+        const v = new THREE.Vector3();
+        for (let i = 0; i < samples; i++) {
+            const t = i / samples;
+            probeMixer.setTime(clip.duration * t);
+            player.updateMatrixWorld(true);
+            feet.forEach((foot, f) => {
+                const y = foot.getWorldPosition(v).y;
+                if (y < lowest[f].y) lowest[f] = { y, t };
+            });
+        }
+
+        // Hand the skeleton back to the main mixer
+        probeMixer.stopAllAction();
+        probeMixer.uncacheRoot(player);
+
+        return lowest.map(l => l.t).sort((a, b) => a - b);
+    }
+
+    function updateFootsteps(delta) {
+        if (!player || !mixer) return;
+
+        // Dominant locomotion clip right now
+        let clipName = null;
+        let bestWeight = 0.5; // Ignore clips that are mostly faded out
+        locomotionClips.forEach((name) => {
+            const action = actions[name];
+            if (action && action.isRunning() && action.getEffectiveWeight() > bestWeight) {
+                bestWeight = action.getEffectiveWeight();
+                clipName = name;
+            }
+        });
+
+        // Actual ground speed - walking into a wall makes no steps
+        const moved = Math.hypot(player.position.x - footstepState.lastPosition.x, player.position.z - footstepState.lastPosition.z);
+        footstepState.lastPosition.copy(player.position);
+        const speed = delta > 0 ? moved / delta : 0;
+
+        if (!clipName) {
+            footstepState.clip = null;
+            return;
+        }
+
+        const action = actions[clipName];
+        const time = action.time / action.getClip().duration;
+        const lastTime = footstepState.clip === clipName ? footstepState.lastTime : time;
+        footstepState.clip = clipName;
+        footstepState.lastTime = time;
+
+        if (!isGrounded || speed < footstepState.minSpeed || combatState.currentMove) return;
+
+        // Did we pass a contact since last frame? (time wraps at the loop point)
+        const passed = (contact) => lastTime <= time
+            ? contact > lastTime && contact <= time
+            : contact > lastTime || contact <= time;
+        if (footContacts[clipName] && footContacts[clipName].some(passed)) {
+            playFootstep(getSurfaceUnderPlayer());
+        }
+    }
+
+    function playFootstep(surface) {
+        const set = footstepSurfaces[surface] || footstepSurfaces.grass;
+        const variations = footstepVariations[surface];
+        if (!footstepSound || !variations || variations.length === 0) return;
+
+        // Random variation, never the same one twice in a row
+        let index = Math.floor(Math.random() * variations.length);
+        if (variations.length > 1 && index === footstepState.lastVariation) index = (index + 1) % variations.length;
+        footstepState.lastVariation = index;
+
+        if (footstepSound.isPlaying) footstepSound.stop();
+        footstepSound.setBuffer(variations[index]);
+        if (footstepFilters[surface]) {
+            footstepSound.setFilter(footstepFilters[surface]);
+        } else {
+            footstepSound.setFilters([]);
+        }
+        footstepSound.setVolume(set.volume * (crouchState.crouched ? 0.3 : 1)); // Soft steps while sneaking
+        footstepSound.setPlaybackRate(set.rate[0] + Math.random() * (set.rate[1] - set.rate[0]));
+        footstepSound.play();
+    }
+
+    function loadFootstepSounds() {
+        Object.entries(footstepSurfaces).forEach(([surface, set]) => {
+            footstepVariations[surface] = [];
+
+            if (set.filter) {
+                const filter = listener.context.createBiquadFilter();
+                filter.type = set.filter.type;
+                filter.frequency.value = set.filter.frequency;
+                if (set.filter.gain) filter.gain.value = set.filter.gain;
+                footstepFilters[surface] = filter;
+            }
+
+            (set.clips || []).forEach((url) => {
+                loadAudioBuffer(url).then(buffer => footstepVariations[surface].push(buffer));
+            });
+
+            if (set.synth === 'splash') {
+                for (let i = 0; i < set.variations; i++) {
+                    footstepVariations[surface].push(createSplashBuffer());
+                }
+            }
+        });
+    }
+
+    // Short burst of bright noise with a watery wobble
+    function createSplashBuffer() {
+        const context = listener.context;
+        const rate = context.sampleRate;
+        const length = Math.floor(rate * (0.25 + Math.random() * 0.1));
+        const buffer = context.createBuffer(1, length, rate);
+        const data = buffer.getChannelData(0);
+        const wobble = 30 + Math.random() * 30;
+
+        let last = 0;
+        for (let i = 0; i < length; i++) {
+            const t = i / rate;
+            const white = Math.random() * 2 - 1;
+            last = last * 0.6 + white * 0.4; // Soften the top end a little
+            const envelope = Math.min(1, t * 200) * Math.exp(-t * 14);
+            data[i] = last * envelope * (0.7 + 0.3 * Math.sin(t * wobble * Math.PI * 2)) * 0.8;
+        }
+        return buffer;
+    }
+
+    function getSurfaceUnderPlayer() {
+        // Shallow water wins over whatever is below it
+        const river = sampleRiverAt(player.position);
+        if (river.inside && player.position.y < river.position.y + 0.3) return 'water';
+        if (!physicsWorld) return 'grass';
+
+        const origin = { x: player.position.x, y: player.position.y + 0.5, z: player.position.z };
+        const ray = new RAPIER.Ray(origin, { x: 0, y: -1, z: 0 });
+        const hit = physicsWorld.castRayAndGetNormal(ray, 2.0, true, undefined, undefined, undefined, playerBody);
+        if (!hit) return 'grass';
+
+        const mesh = colliderMeshes.get(hit.collider.handle);
+        if (!mesh) return 'grass';
+
+        const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+        const names = [mesh.name, ...materials.map(m => m.name)];
+        for (const rule of surfaceNameRules) {
+            if (names.some(name => rule.pattern.test(name))) return rule.surface;
+        }
+
+        // One big atlas-textured mesh: classify the texel under the hit point
+        const point = new THREE.Vector3(origin.x, origin.y - hit.timeOfImpact, origin.z);
+        const color = sampleSurfaceColor(mesh, hit.featureId, point);
+        return color ? classifySurfaceColor(color) : 'grass';
+    }
+
+    // Interpolates the UV of the hit triangle and reads the texture color there
+    function sampleSurfaceColor(mesh, triangle, point) {
+        const material = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material;
+        const geometry = mesh.geometry;
+        if (!material.map || !material.map.image || !geometry.attributes.uv) return null;
+
+        const index = geometry.index;
+        const triangleCount = (index ? index.count : geometry.attributes.position.count) / 3;
+        const face = triangle % triangleCount; // Back-face hits are numbered after the front faces
+        const ids = [0, 1, 2].map(k => index ? index.getX(face * 3 + k) : face * 3 + k);
+
+        const position = geometry.attributes.position;
+        const uv = geometry.attributes.uv;
+        const [a, b, c] = ids.map(id => new THREE.Vector3().fromBufferAttribute(position, id).applyMatrix4(mesh.matrixWorld));
+        const [uvA, uvB, uvC] = ids.map(id => new THREE.Vector2().fromBufferAttribute(uv, id));
+        const hitUv = THREE.Triangle.getInterpolation(point, a, b, c, uvA, uvB, uvC, new THREE.Vector2());
+        material.map.transformUv(hitUv);
+
+        let sampler = textureSamplers.get(material.map);
+        if (!sampler) {
+            // Downscaled copy is plenty for "what color is the ground"
+            const size = 256;
+            const canvas = document.createElement('canvas');
+            canvas.width = canvas.height = size;
+            const context = canvas.getContext('2d', { willReadFrequently: true });
+            context.drawImage(material.map.image, 0, 0, size, size);
+            sampler = { data: context.getImageData(0, 0, size, size).data, width: size, height: size };
+            textureSamplers.set(material.map, sampler);
+        }
+
+        const x = Math.min(sampler.width - 1, Math.floor(hitUv.x * sampler.width));
+        const y = Math.min(sampler.height - 1, Math.floor(hitUv.y * sampler.height));
+        const i = (y * sampler.width + x) * 4;
+        return new THREE.Color(sampler.data[i] / 255, sampler.data[i + 1] / 255, sampler.data[i + 2] / 255);
+    }
+
+    function classifySurfaceColor(color) {
+        const hsl = color.getHSL({});
+        if (hsl.s < 0.2) return 'stone';                                     // Greys
+        if (hsl.h > 0.17 && hsl.h < 0.45) return 'grass';                    // Greens
+        if (hsl.h >= 0.03 && hsl.h <= 0.12 && hsl.l < 0.5) return 'wood';    // Browns
+        if (hsl.h >= 0.45 && hsl.h < 0.7 && hsl.l > 0.3) return 'water';     // Blues
+        return 'grass';
+    }
+
+    // --- TEARDOWN ---
+
+    // Rapier's world lives in WASM memory, which the garbage collector never frees
+    function dispose() {
+        // Faded occluders get their own materials back, so the world's scene sweep frees those
+        fadedMeshes.forEach((entry, mesh) => {
+            mesh.material = entry.original;
+            entry.faded.forEach(material => material.dispose());
+        });
+        fadedMeshes.clear();
+        if (mixer) {
+            mixer.stopAllAction();
+            mixer.uncacheRoot(player);
+        }
+        if (physicsWorld) {
+            physicsWorld.removeCharacterController(characterController);
+            physicsWorld.free();
+            physicsWorld = characterController = playerBody = playerCollider = null;
+        }
+        colliderMeshes.clear();
+        textureSamplers.clear();
+    }
+
+    return {
+        get mixer() { return mixer; },
+        get model() { return player; },
+        get physicsWorld() { return physicsWorld; },
+        get playerBody() { return playerBody; },
+        colliderMeshes,
+        cameraBoom,
+        crouchState,
+        waterState,
+        combatEvents,
+        simulate,
+        updateCameraFollow,
+        zoomCamera,
+        restoreSimulatedPose,
+        storePreviousPose,
+        applyInterpolatedPose,
+        queueAttack,
+        resolveIncomingStrike,
+        updateCombat,
+        initPhysics,
+        teleportPlayer,
+        updateFootsteps,
+        dispose
+    };
+}
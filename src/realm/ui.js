@@ -0,0 +1,1110 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import GUI from 'lil-gui';
+import { emitterSounds } from '../audioEmitters.js';
+import { ambienceRegions } from '../ambienceRegions.js';
+import { sceneSchema, validateSceneConfig, validateSchema, withHexColors, withColorStrings } from '../sceneConfig.js';
+
+// UI: the on-screen buttons and audio mixer panel, the debug GUI with its tuning slots, the scene
+// layout (foam markers, emitters, trigger zones, spawn) and the level editor that edits it. Built
+// last, so every control it shows has something to drive. All of it lives inside the realm's root.
+
+export function createUI(realm) {
+    const { root, sceneConfig, safeMode } = realm;
+    const { cinematicParams, scene, camera, qualityTiers, qualityTierOrder, qualitySettings, quality, renderer, bloomPass, cinematicPass, loadingState, spawnPosition, saveQualitySettings, guessQualityTier, applyQualityTier, setQualityTier, startQualityBenchmark, setDynamicResolution } = realm.world;
+    const { audioBusNames, audioMixerSettings, emitters, ambienceParams, ambienceWeights, applyAudioMixerSettings, saveAudioMixerSettings, placeEmitter, removeEmitter, playEmitter } = realm.audio;
+    const { lightingPresets, timeOfDay, togglePreset, wind, weatherStates, weather, setWeather } = realm.lighting;
+    const { riverParams, riverPoints, foamMarkers, rebuildRiver, createFoamMarker, removeFoamMarker, placeRiverMarker, updateFoamCount } = realm.water;
+    const { controls, keys } = realm.input;
+    const { teleportPlayer } = realm.player;
+
+    // --- Preset Toggle Button ---
+    const presetButton = document.createElement('button');
+    presetButton.textContent = lightingPresets[realm.lighting.currentPreset].name;
+    presetButton.style.cssText = `
+        position: absolute;
+        top: 20px;
+        left: 20px;
+        padding: 12px 24px;
+        font-size: 16px;
+        font-weight: bold;
+        color: white;
+        background: linear-gradient(135deg, #ff8c42, #d4556a, #9b59b6);
+        border: none;
+        border-radius: 25px;
+        cursor: pointer;
+        z-index: 1000;
+        box-shadow: 0 4px 15px rgba(0,0,0,0.3);
+        transition: transform 0.2s, box-shadow 0.2s;
+        font-family: 'Segoe UI', Arial, sans-serif;
+    `;
+    presetButton.addEventListener('mouseenter', () => {
+        presetButton.style.transform = 'scale(1.05)';
+        presetButton.style.boxShadow = '0 6px 20px rgba(0,0,0,0.4)';
+    });
+    presetButton.addEventListener('mouseleave', () => {
+        presetButton.style.transform = 'scale(1)';
+        presetButton.style.boxShadow = '0 4px 15px rgba(0,0,0,0.3)';
+    });
+    presetButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        togglePreset();
+    });
+    root.appendChild(presetButton);
+
+    // --- Audio Button (opens the mixer panel) ---
+    const audioButton = document.createElement('button');
+    audioButton.style.cssText = `
+        position: absolute;
+        top: 80px;
+        left: 20px;
+        padding: 12px 24px;
+        font-size: 16px;
+        font-weight: bold;
+        color: white;
+        background: linear-gradient(135deg, #2ecc71, #27ae60);
+        border: none;
+        border-radius: 25px;
+        cursor: pointer;
+        z-index: 1000;
+        box-shadow: 0 4px 15px rgba(0,0,0,0.3);
+        transition: transform 0.2s, box-shadow 0.2s;
+        font-family: 'Segoe UI', Arial, sans-serif;
+    `;
+    audioButton.addEventListener('mouseenter', () => {
+        audioButton.style.transform = 'scale(1.05)';
+        audioButton.style.boxShadow = '0 6px 20px rgba(0,0,0,0.4)';
+    });
+    audioButton.addEventListener('mouseleave', () => {
+        audioButton.style.transform = 'scale(1)';
+        audioButton.style.boxShadow = '0 4px 15px rgba(0,0,0,0.3)';
+    });
+    audioButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        audioPanel.style.display = audioPanel.style.display === 'none' ? 'block' : 'none';
+    });
+    root.appendChild(audioButton);
+
+    // --- Audio Mixer Panel ---
+    const audioPanel = document.createElement('div');
+    audioPanel.style.cssText = `
+        position: absolute;
+        top: 80px;
+        left: 200px;
+        width: 240px;
+        padding: 16px 20px;
+        color: white;
+        background: rgba(20, 20, 30, 0.85);
+        border-radius: 16px;
+        z-index: 1000;
+        box-shadow: 0 4px 15px rgba(0,0,0,0.3);
+        font-family: 'Segoe UI', Arial, sans-serif;
+        font-size: 14px;
+        display: none;
+    `;
+    // Clicks in the panel must not lock the pointer or swing the sword
+    audioPanel.addEventListener('click', (e) => e.stopPropagation());
+    audioPanel.addEventListener('mousedown', (e) => e.stopPropagation());
+
+    const muteLabel = document.createElement('label');
+    muteLabel.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-bottom: 12px; cursor: pointer;';
+    const muteCheckbox = document.createElement('input');
+    muteCheckbox.type = 'checkbox';
+    muteCheckbox.checked = audioMixerSettings.muted;
+    muteCheckbox.addEventListener('change', () => {
+        audioMixerSettings.muted = muteCheckbox.checked;
+        applyAudioMixerSettings();
+        saveAudioMixerSettings();
+    });
+    muteLabel.append(muteCheckbox, 'Mute All');
+    audioPanel.appendChild(muteLabel);
+
+    addAudioSlider('Master', audioMixerSettings.master, (v) => { audioMixerSettings.master = v; });
+    Object.entries(audioBusNames).forEach(([bus, label]) => {
+        addAudioSlider(label, audioMixerSettings.buses[bus], (v) => { audioMixerSettings.buses[bus] = v; });
+    });
+    root.appendChild(audioPanel);
+    updateAudioButton();
+
+    // --- GUI ---
+    const gui = new GUI({ container: root });
+    gui.domElement.style.cssText = 'position: absolute; top: 0; right: 15px; max-height: 100%; z-index: 1000;';
+    let debugVisible = false; // ` toggles the control box, see DEBUG PANEL
+    gui.hide(); // Hidden by default
+    gui.add( riverParams, 'speed', 0, 5 ).name('Flow Speed');
+    gui.add( riverParams, 'waveHeight', 0, 1 ).name('Wave Height');
+
+    const folderFoam = gui.addFolder('Foam Settings');
+    folderFoam.add( riverParams, 'foamAmount', 0, 15000 ).name('Count').onChange( updateFoamCount );
+    folderFoam.add( riverParams, 'foamSize', 0.01, 2.0 ).name('Particle Size').onChange( (v) => {
+        if(realm.water.foamUniforms) realm.water.foamUniforms.size.value = v;
+    });
+    folderFoam.open();
+
+    // Every point of the centerline; editing one rebuilds the whole river
+    const folderRiver = gui.addFolder('River Path');
+    riverPoints.forEach((point, i) => {
+        const folder = folderRiver.addFolder(`Point ${i + 1}`);
+        folder.add( point.position, '0', -80, 80 ).name('X').onChange( rebuildRiver );
+        folder.add( point.position, '1', -20, 60 ).name('Surface Y').onChange( rebuildRiver );
+        folder.add( point.position, '2', -80, 80 ).name('Z').onChange( rebuildRiver );
+        folder.add( point, 'width', 1, 40 ).name('Width').onChange( rebuildRiver );
+        if (point.drop !== undefined) {
+            folder.add( point, 'drop', 5, 200 ).name('Waterfall H').onChange( rebuildRiver );
+        }
+        folder.close();
+    });
+    folderRiver.close();
+
+    const folderCinematic = gui.addFolder('Cinematic');
+    folderCinematic.add(cinematicParams, 'bloomStrength', 0, 2).name('Bloom').onChange(v => bloomPass.strength = v);
+    folderCinematic.add(cinematicParams, 'bloomThreshold', 0, 1).name('Bloom Thresh').onChange(v => bloomPass.threshold = v);
+    folderCinematic.add(cinematicParams, 'vignetteIntensity', 0, 1).name('Vignette').onChange(v => cinematicPass.uniforms['vignetteIntensity'].value = v);
+    folderCinematic.add(cinematicParams, 'saturation', 0.5, 1.5).name('Saturation').onChange(v => cinematicPass.uniforms['saturation'].value = v);
+    folderCinematic.add(cinematicParams, 'contrast', 0.8, 1.3).name('Contrast').onChange(v => cinematicPass.uniforms['contrast'].value = v);
+    folderCinematic.open();
+
+    const folderTime = gui.addFolder('Time of Day');
+    folderTime.add(timeOfDay, 'hour', 0, 24).name('Hour').listen();
+    folderTime.add(timeOfDay, 'dayLength', 30, 3600).name('Day Length (s)');
+    folderTime.add(timeOfDay, 'paused').name('Pause Clock');
+
+    // The time-of-day keyframes; the blend reads them every frame, so edits show up live
+    const folderPresets = gui.addFolder('Lighting Presets');
+    Object.values(lightingPresets).forEach((preset) => {
+        const folder = folderPresets.addFolder(preset.name);
+        folder.addColor(preset, 'background').name('Background');
+        folder.addColor(preset.fog, 'color').name('Fog Color');
+        folder.add(preset.fog, 'density', 0, 0.05).name('Fog Density');
+        folder.addColor(preset.dirLight, 'color').name('Sun Color');
+        folder.add(preset.dirLight, 'intensity', 0, 10).name('Sun Intensity');
+        folder.addColor(preset.hemiLight, 'skyColor').name('Hemi Sky');
+        folder.addColor(preset.hemiLight, 'groundColor').name('Hemi Ground');
+        folder.add(preset.hemiLight, 'intensity', 0, 5).name('Hemi Intensity');
+        folder.addColor(preset.rimLight, 'color').name('Rim Color');
+        folder.add(preset.rimLight, 'intensity', 0, 5).name('Rim Intensity');
+        folder.addColor(preset.ambient, 'color').name('Ambient Color');
+        folder.add(preset.ambient, 'intensity', 0, 5).name('Ambient Intensity');
+        folder.add(preset.sky, 'turbidity', 0, 20).name('Sky Turbidity');
+        folder.add(preset.sky, 'rayleigh', 0, 4).name('Sky Rayleigh');
+        folder.add(preset.bloom, 'strength', 0, 2).name('Bloom');
+        folder.add(preset.bloom, 'threshold', 0, 1).name('Bloom Thresh');
+        folder.add(preset, 'exposure', 0, 2).name('Exposure');
+        folder.addColor(preset, 'waterColor').name('Water Color');
+        folder.close();
+    });
+    folderPresets.close();
+
+    const folderWeather = gui.addFolder('Weather');
+    folderWeather.add(weather, 'target', Object.keys(weatherStates)).name('Weather').listen().onChange(setWeather);
+    folderWeather.add(weather, 'transitionTime', 1, 120).name('Transition (s)');
+    folderWeather.add(wind, 'direction', 0, 360).name('Wind Direction');
+    folderWeather.add(wind, 'baseSpeed', 0, 15).name('Wind Speed');
+    folderWeather.add(wind, 'gustStrength', 0, 1).name('Gusts');
+
+    // --- Weather Toggle Button ---
+    const weatherButton = document.createElement('button');
+    weatherButton.textContent = weatherStates.clear.name;
+    weatherButton.style.cssText = `
+        position: absolute;
+        top: 140px;
+        left: 20px;
+        padding: 12px 24px;
+        font-size: 16px;
+        font-weight: bold;
+        color: white;
+        background: linear-gradient(135deg, #5d8aa8, #34495e);
+        border: none;
+        border-radius: 25px;
+        cursor: pointer;
+        z-index: 1000;
+        box-shadow: 0 4px 15px rgba(0,0,0,0.3);
+        transition: transform 0.2s, box-shadow 0.2s;
+        font-family: 'Segoe UI', Arial, sans-serif;
+    `;
+    weatherButton.addEventListener('mouseenter', () => {
+        weatherButton.style.transform = 'scale(1.05)';
+        weatherButton.style.boxShadow = '0 6px 20px rgba(0,0,0,0.4)';
+    });
+    weatherButton.addEventListener('mouseleave', () => {
+        weatherButton.style.transform = 'scale(1)';
+        weatherButton.style.boxShadow = '0 4px 15px rgba(0,0,0,0.3)';
+    });
+    weatherButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const names = Object.keys(weatherStates);
+        setWeather(names[(names.indexOf(weather.target) + 1) % names.length]);
+    });
+    root.appendChild(weatherButton);
+
+    const folderGraphics = gui.addFolder('Graphics');
+    folderGraphics.add(qualitySettings, 'tier', ['auto', ...qualityTierOrder]).name('Quality').listen().onChange(setQualityTier);
+    folderGraphics.add(qualitySettings, 'dynamicResolution').name('Dynamic Resolution').onChange(setDynamicResolution);
+    folderGraphics.add(qualitySettings, 'targetFps', 30, 144, 1).name('Target FPS').onChange(saveQualitySettings);
+    folderGraphics.add({ rerun: () => {
+        qualitySettings.tier = 'auto';
+        saveQualitySettings();
+        applyQualityTier(guessQualityTier());
+        startQualityBenchmark();
+    } }, 'rerun').name('Re-run Benchmark');
+
+    // --- Graphics Quality Button ---
+    // Cycles Auto -> Low -> Medium -> High -> Ultra
+    const graphicsButton = document.createElement('button');
+    graphicsButton.style.cssText = `
+        position: absolute;
+        top: 200px;
+        left: 20px;
+        padding: 12px 24px;
+        font-size: 16px;
+        font-weight: bold;
+        color: white;
+        background: linear-gradient(135deg, #6c7a89, #2c3e50);
+        border: none;
+        border-radius: 25px;
+        cursor: pointer;
+        z-index: 1000;
+        box-shadow: 0 4px 15px rgba(0,0,0,0.3);
+        transition: transform 0.2s, box-shadow 0.2s;
+        font-family: 'Segoe UI', Arial, sans-serif;
+    `;
+    graphicsButton.addEventListener('mouseenter', () => {
+        graphicsButton.style.transform = 'scale(1.05)';
+        graphicsButton.style.boxShadow = '0 6px 20px rgba(0,0,0,0.4)';
+    });
+    graphicsButton.addEventListener('mouseleave', () => {
+        graphicsButton.style.transform = 'scale(1)';
+        graphicsButton.style.boxShadow = '0 4px 15px rgba(0,0,0,0.3)';
+    });
+    graphicsButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const tiers = ['auto', ...qualityTierOrder];
+        setQualityTier(tiers[(tiers.indexOf(qualitySettings.tier) + 1) % tiers.length]);
+    });
+    root.appendChild(graphicsButton);
+    updateGraphicsButton();
+
+    // --- SCENE LAYOUT ---
+    // Where things stand - foam markers, placed sound emitters, the player spawn and trigger zones -
+    // is the layout part of the scene file, which the level editor (F2) edits and exports. Trigger
+    // zones are boxes that play an emitter when the player walks in, on top of the emitters' own
+    // proximity triggers. Placed once the editor below exists (its handles mark every item); the
+    // foam markers themselves belong to the water system.
+    const triggerZones = []; // { config: { id, emitter }, box, inside, helper }
+
+    // --- LEVEL EDITOR ---
+    // F2 switches to a free-fly camera for editing the scene layout: pick a tool and click the world
+    // to place foam markers, sound emitters, trigger zones or the spawn point; click a handle to
+    // select it, drag the gizmo to move it (R scales zones), Delete removes it. Export downloads the
+    // whole scene file with the edited layout - drop it into public/ and the app starts with it.
+    const editor = {
+        active: false,
+        tool: 'select',      // 'select' | 'foam' | 'emitter' | 'zone' | 'spawn'
+        sound: 'cow',        // emitterSounds entry that new emitters use
+        selected: null,      // editorItem { type, ref, target } of the selected handle
+        flySpeed: 12,
+        fastMultiplier: 4,   // Shift
+        lookSpeed: 0.0025,   // Radians per pixel while the right mouse button is held
+        looking: false,
+        yaw: 0,
+        pitch: 0,
+        keys: { up: false, down: false }, // E / Q
+        helpers: new THREE.Group(),       // Handles, only shown while editing
+        spawnHandle: null,
+        transform: new TransformControls(camera, renderer.domElement),
+        ui: {}
+    };
+    const emitterHandleColors = { animals: 0x66cc66, voice: 0x66aaff };
+    const editorRaycaster = new THREE.Raycaster();
+    const _editorPointer = new THREE.Vector2();
+    const _editorEuler = new THREE.Euler(0, 0, 0, 'YXZ');
+    const _editorMove = new THREE.Vector3();
+
+    editor.helpers.visible = false;
+    scene.add(editor.helpers);
+    scene.add(editor.transform);
+    editor.transform.addEventListener('objectChange', onEditorObjectChange);
+
+    const spawnHandleGeometry = new THREE.CapsuleGeometry(0.35, 1.1, 4, 8);
+    spawnHandleGeometry.translate(0, 0.9, 0); // Origin at the feet, like spawnPosition
+    editor.spawnHandle = createEditorHandle('spawn', null, spawnHandleGeometry, 0x33ff66);
+    editor.spawnHandle.material.wireframe = true;
+    editor.spawnHandle.position.copy(spawnPosition);
+
+    createEditorPanel();
+
+    renderer.domElement.addEventListener('pointerdown', (event) => {
+        if (!editor.active) return;
+        if (event.button === 2) editor.looking = true;
+        // The gizmo handles its own drags
+        if (event.button === 0 && !editor.transform.dragging && editor.transform.axis === null) onEditorClick(event);
+    });
+    // Drags may end or move outside the realm
+    realm.listen(document, 'pointerup', (event) => {
+        if (event.button === 2) editor.looking = false;
+    });
+    realm.listen(document, 'mousemove', (event) => {
+        if (!editor.active || !editor.looking) return;
+        editor.yaw -= event.movementX * editor.lookSpeed;
+        editor.pitch = THREE.MathUtils.clamp(editor.pitch - event.movementY * editor.lookSpeed, -1.5, 1.5);
+    });
+    root.addEventListener('keydown', (event) => {
+        if (!editor.active || event.target.closest('input, select')) return;
+        switch (event.key.toLowerCase()) {
+            case 'e': editor.keys.up = true; break;
+            case 'q': editor.keys.down = true; break;
+            case 't': editor.transform.setMode('translate'); break;
+            case 'r':
+                if (editor.selected && editor.selected.type === 'zone') editor.transform.setMode('scale');
+                break;
+            case 'delete':
+            case 'backspace':
+                deleteEditorSelection();
+                break;
+            case 'escape':
+                selectEditorItem(null);
+                break;
+        }
+    });
+    root.addEventListener('keyup', (event) => {
+        switch (event.key.toLowerCase()) {
+            case 'e': editor.keys.up = false; break;
+            case 'q': editor.keys.down = false; break;
+        }
+    });
+
+    const folderAmbience = gui.addFolder('Ambience');
+    folderAmbience.add(ambienceParams, 'smoothing', 0.1, 5).name('Crossfade (s)');
+    ambienceRegions.forEach((region) => {
+        folderAmbience.add(ambienceWeights, region.id, 0, 1).name(region.name).listen().disable();
+    });
+    folderAmbience.close();
+
+    // --- DEBUG PANEL ---
+    // The GUI above is hidden until ` (backtick) is pressed. Its tunable values - river, cinematic,
+    // lighting presets, day length, weather timing, wind and ambience - can be saved to named slots
+    // in localStorage (the last saved / loaded slot comes back on the next visit), exported and
+    // imported as JSON, or reset to what the scene file and code start with. River, cinematic and
+    // lighting use the scene file's format, so a tuned section can be pasted into scene.json as is.
+    const tuningStorageKey = 'paladin-gui-presets';
+    const tuningSchema = {
+        type: 'object',
+        properties: {
+            river: { ...sceneSchema.properties.river, optional: true },
+            cinematic: { ...sceneSchema.properties.cinematic, optional: true },
+            lightingPresets: { ...sceneSchema.properties.lightingPresets, optional: true },
+            timeOfDay: { type: 'object', optional: true, properties: { dayLength: { type: 'number' } } },
+            weather: { type: 'object', optional: true, properties: { transitionTime: { type: 'number' } } },
+            wind: { type: 'object', optional: true, properties: { direction: { type: 'number' }, baseSpeed: { type: 'number', optional: true }, gustStrength: { type: 'number' } } },
+            ambience: { type: 'object', optional: true, properties: { smoothing: { type: 'number' } } }
+        }
+    };
+    const tuningDefaults = collectTuning(); // Snapshot before any slot is applied
+    const tuningStore = loadTuningStore(); // { last, slots: { name: tuning } }
+    const tuningUI = {
+        name: 'Preset 1',
+        slot: '',
+        status: ''
+    };
+
+    const tuningFileInput = document.createElement('input');
+    tuningFileInput.type = 'file';
+    tuningFileInput.accept = '.json,application/json';
+    tuningFileInput.style.display = 'none';
+    tuningFileInput.addEventListener('change', () => {
+        if (tuningFileInput.files[0]) importTuning(tuningFileInput.files[0]);
+        tuningFileInput.value = '';
+    });
+    root.appendChild(tuningFileInput);
+
+    const folderTuning = gui.addFolder('Presets');
+    folderTuning.add(tuningUI, 'name').name('Slot Name');
+    folderTuning.add({ save: () => saveTuningSlot(tuningUI.name.trim()) }, 'save').name('Save to Slot');
+    const tuningSlotController = folderTuning.add(tuningUI, 'slot', Object.keys(tuningStore.slots)).name('Saved Slots');
+    folderTuning.add({ load: () => loadTuningSlot(tuningUI.slot) }, 'load').name('Load Slot');
+    folderTuning.add({ remove: () => deleteTuningSlot(tuningUI.slot) }, 'remove').name('Delete Slot');
+    folderTuning.add({ export: exportTuning }, 'export').name('Export JSON');
+    folderTuning.add({ import: () => tuningFileInput.click() }, 'import').name('Import JSON');
+    folderTuning.add({ reset: resetTuning }, 'reset').name('Reset to Defaults');
+    folderTuning.add(tuningUI, 'status').name('Status').listen().disable();
+
+    function updateAudioButton() {
+        if (audioMixerSettings.muted) {
+            audioButton.textContent = '🔇 Sound Off';
+            audioButton.style.background = 'linear-gradient(135deg, #95a5a6, #7f8c8d)';
+        } else {
+            audioButton.textContent = '🔊 Sound';
+            audioButton.style.background = 'linear-gradient(135deg, #2ecc71, #27ae60)';
+        }
+    }
+
+    function addAudioSlider(label, value, onChange) {
+        const row = document.createElement('label');
+        row.style.cssText = 'display: block; margin-bottom: 10px;';
+
+        const text = document.createElement('div');
+        text.style.cssText = 'display: flex; justify-content: space-between; margin-bottom: 4px;';
+        const name = document.createElement('span');
+        name.textContent = label;
+        const percent = document.createElement('span');
+        percent.textContent = `${Math.round(value * 100)}%`;
+        text.append(name, percent);
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = 0;
+        slider.max = 1;
+        slider.step = 0.01;
+        slider.value = value;
+        slider.style.width = '100%';
+        slider.addEventListener('input', () => {
+            const v = parseFloat(slider.value);
+            percent.textContent = `${Math.round(v * 100)}%`;
+            onChange(v);
+            applyAudioMixerSettings();
+        });
+        slider.addEventListener('change', saveAudioMixerSettings); // Persist once released
+
+        row.append(text, slider);
+        audioPanel.appendChild(row);
+    }
+
+    // --- DEBUG PANEL IMPLEMENTATION FUNCTIONS ---
+
+    // The slot used last time, applied once the scene layout is in place (createRealm)
+    function restoreTuning() {
+        if (!tuningStore.last || !tuningStore.slots[tuningStore.last]) return;
+        applyTuning(tuningStore.slots[tuningStore.last]);
+        tuningUI.name = tuningUI.slot = tuningStore.last;
+        tuningUI.status = `Restored "${tuningStore.last}"`;
+        refreshGui();
+    }
+
+    function toggleDebugPanel() {
+        debugVisible = !debugVisible;
+        gui.show(debugVisible);
+        if (debugVisible) controls.unlock(); // Free the mouse for the panel
+    }
+
+    // Current tunable values, colors as '#rrggbb' like the scene file
+    function collectTuning() {
+        return {
+            river: {
+                speed: riverParams.speed,
+                waveHeight: riverParams.waveHeight,
+                foamSize: riverParams.foamSize,
+                points: structuredClone(riverPoints)
+            },
+            cinematic: { ...cinematicParams },
+            lightingPresets: withColorStrings(lightingPresets, sceneSchema.properties.lightingPresets),
+            timeOfDay: { dayLength: timeOfDay.dayLength },
+            weather: { transitionTime: weather.transitionTime },
+            wind: { direction: wind.direction, baseSpeed: wind.baseSpeed, gustStrength: wind.gustStrength },
+            ambience: { smoothing: ambienceParams.smoothing }
+        };
+    }
+
+    // Applies whichever sections are present; the rest keeps its current values
+    function applyTuning(tuning) {
+        if (tuning.river) {
+            riverParams.speed = tuning.river.speed;
+            riverParams.waveHeight = tuning.river.waveHeight;
+            riverParams.foamSize = tuning.river.foamSize;
+            if (realm.water.foamUniforms) realm.water.foamUniforms.size.value = riverParams.foamSize;
+            // Adding or removing points (and their waterfalls) is the scene file's job
+            if (tuning.river.points.length === riverPoints.length) {
+                tuning.river.points.forEach((point, i) => {
+                    riverPoints[i].position.splice(0, 3, ...point.position);
+                    riverPoints[i].width = point.width;
+                    if (riverPoints[i].drop !== undefined && point.drop !== undefined) riverPoints[i].drop = point.drop;
+                });
+                rebuildRiver();
+            } else {
+                console.warn(`Ignoring ${tuning.river.points.length} river points: the scene has ${riverPoints.length}`);
+            }
+        }
+
+        if (tuning.cinematic) {
+            Object.assign(cinematicParams, tuning.cinematic);
+            bloomPass.strength = cinematicParams.bloomStrength;
+            bloomPass.radius = cinematicParams.bloomRadius;
+            bloomPass.threshold = cinematicParams.bloomThreshold;
+            cinematicPass.uniforms['vignetteIntensity'].value = cinematicParams.vignetteIntensity;
+            cinematicPass.uniforms['saturation'].value = cinematicParams.saturation;
+            cinematicPass.uniforms['contrast'].value = cinematicParams.contrast;
+        }
+
+        // In place, so the GUI controllers and the day/night blend keep their references
+        if (tuning.lightingPresets) assignDeep(lightingPresets, withHexColors(tuning.lightingPresets));
+
+        if (tuning.timeOfDay) timeOfDay.dayLength = tuning.timeOfDay.dayLength;
+        if (tuning.weather) weather.transitionTime = tuning.weather.transitionTime;
+        if (tuning.wind) {
+            wind.direction = tuning.wind.direction;
+            if (tuning.wind.baseSpeed !== undefined) wind.baseSpeed = tuning.wind.baseSpeed; // Not in older saves
+            wind.gustStrength = tuning.wind.gustStrength;
+        }
+        if (tuning.ambience) ambienceParams.smoothing = tuning.ambience.smoothing;
+    }
+
+    function assignDeep(target, source) {
+        Object.entries(source).forEach(([key, value]) => {
+            if (value !== null && typeof value === 'object' && typeof target[key] === 'object') assignDeep(target[key], value);
+            else target[key] = value;
+        });
+    }
+
+    function refreshGui() {
+        gui.controllersRecursive().forEach(controller => controller.updateDisplay());
+    }
+
+    function loadTuningStore() {
+        const store = { last: null, slots: {} };
+        try {
+            const saved = JSON.parse(localStorage.getItem(tuningStorageKey));
+            if (saved && saved.slots) {
+                // Drop slots an older or broken version left behind
+                Object.entries(saved.slots).forEach(([name, tuning]) => {
+                    if (validateSchema(tuning, tuningSchema).length === 0) store.slots[name] = tuning;
+                    else console.warn(`Ignoring unreadable GUI preset "${name}"`);
+                });
+                if (typeof saved.last === 'string') store.last = saved.last;
+            }
+        } catch (error) {
+            console.warn('Ignoring unreadable GUI presets:', error);
+        }
+        return store;
+    }
+
+    function saveTuningStore() {
+        try {
+            localStorage.setItem(tuningStorageKey, JSON.stringify(tuningStore));
+        } catch (error) {
+            console.warn('Could not save GUI presets:', error);
+        }
+    }
+
+    function saveTuningSlot(name) {
+        if (!name) {
+            tuningUI.status = 'Enter a slot name first';
+            return;
+        }
+        tuningStore.slots[name] = collectTuning();
+        tuningStore.last = name;
+        saveTuningStore();
+        tuningUI.slot = name;
+        tuningSlotController.options(Object.keys(tuningStore.slots)).setValue(name);
+        tuningUI.status = `Saved "${name}"`;
+    }
+
+    function loadTuningSlot(name) {
+        const tuning = tuningStore.slots[name];
+        if (!tuning) return;
+        applyTuning(tuning);
+        tuningStore.last = name;
+        saveTuningStore();
+        tuningUI.name = name;
+        tuningUI.status = `Loaded "${name}"`;
+        refreshGui();
+    }
+
+    function deleteTuningSlot(name) {
+        if (!tuningStore.slots[name]) return;
+        delete tuningStore.slots[name];
+        if (tuningStore.last === name) tuningStore.last = null;
+        saveTuningStore();
+        tuningSlotController.options(Object.keys(tuningStore.slots)).setValue('');
+        tuningUI.status = `Deleted "${name}"`;
+    }
+
+    function resetTuning() {
+        applyTuning(tuningDefaults);
+        tuningStore.last = null; // Start from the defaults next visit too
+        saveTuningStore();
+        tuningUI.status = 'Reset to defaults';
+        refreshGui();
+    }
+
+    function exportTuning() {
+        const name = tuningUI.name.trim() || 'tuning';
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([JSON.stringify(collectTuning(), null, 4) + '\n'], { type: 'application/json' }));
+        link.download = `${name}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        tuningUI.status = `Exported ${name}.json`;
+    }
+
+    function importTuning(file) {
+        file.text().then((text) => {
+            const tuning = JSON.parse(text);
+            const problems = validateSchema(tuning, tuningSchema);
+            if (problems.length > 0) {
+                console.error(`${file.name} is not a usable GUI preset:`, problems);
+                tuningUI.status = `Can't import: ${problems[0]}`;
+                return;
+            }
+            applyTuning(tuning);
+            tuningUI.status = `Imported ${file.name} (save it to a slot to keep it)`;
+            refreshGui();
+        }).catch((error) => {
+            console.error(`Could not import ${file.name}:`, error);
+            tuningUI.status = `Can't import ${file.name}: ${error.message}`;
+        });
+    }
+
+    // --- SCENE LAYOUT IMPLEMENTATION FUNCTIONS ---
+
+    // Replaces whatever the current layout placed (startup load, editor import)
+    function applySceneLayout(layout) {
+        clearSceneLayout();
+
+        spawnPosition.fromArray(layout.spawn.position);
+        editor.spawnHandle.position.copy(spawnPosition);
+        if (realm.player.model) teleportPlayer(spawnPosition);
+
+        layout.foamMarkers.forEach(marker => createFoamMarker(marker.position[0], marker.position[1], marker.radius));
+        // Optional extras - safe mode goes without them
+        if (!safeMode) layout.emitters.forEach(placeEmitter);
+        layout.triggerZones.forEach(createTriggerZone);
+    }
+
+    function clearSceneLayout() {
+        selectEditorItem(null);
+        foamMarkers.slice().forEach(removeFoamMarker);
+        emitters.filter(emitter => emitter.helper).forEach(removeEmitter);
+        triggerZones.slice().forEach(removeTriggerZone);
+    }
+
+    // Current layout in the scene.json format, positions rounded to the centimeter
+    function collectSceneLayout() {
+        const round = value => Math.round(value * 100) / 100;
+        const vector = v => v.toArray().map(round);
+        return {
+            spawn: { position: vector(spawnPosition) },
+            foamMarkers: foamMarkers.map(marker => ({ position: [round(marker.x), round(marker.z)], radius: marker.radius })),
+            emitters: emitters.filter(emitter => emitter.helper).map(emitter => ({
+                id: emitter.config.id,
+                sound: emitter.config.sound,
+                position: vector(emitter.sound.position)
+            })),
+            triggerZones: triggerZones.map(zone => ({
+                id: zone.config.id,
+                position: vector(zone.helper.position),
+                size: vector(zone.helper.scale),
+                emitter: zone.config.emitter
+            }))
+        };
+    }
+
+    function createTriggerZone(config) {
+        const zone = { config: { id: config.id, emitter: config.emitter }, box: new THREE.Box3(), inside: false, helper: null };
+        zone.helper = createEditorHandle('zone', zone, new THREE.BoxGeometry(1, 1, 1), 0xffaa00);
+        zone.helper.material.opacity = 0.15;
+        zone.helper.add(new THREE.LineSegments(
+            new THREE.EdgesGeometry(zone.helper.geometry),
+            new THREE.LineBasicMaterial({ color: 0xffaa00, depthTest: false })
+        ));
+        zone.helper.position.fromArray(config.position);
+        zone.helper.scale.fromArray(config.size);
+        updateTriggerZoneBox(zone);
+        triggerZones.push(zone);
+        return zone;
+    }
+
+    function removeTriggerZone(zone) {
+        triggerZones.splice(triggerZones.indexOf(zone), 1);
+        disposeEditorHandle(zone.helper);
+    }
+
+    function updateTriggerZoneBox(zone) {
+        zone.box.setFromCenterAndSize(zone.helper.position, zone.helper.scale);
+    }
+
+    // Plays the zone's emitter when the player walks in; walking out re-arms it
+    function updateTriggerZones() {
+        if (!realm.player.model) return;
+        triggerZones.forEach((zone) => {
+            const inside = zone.box.containsPoint(realm.player.model.position);
+            if (inside && !zone.inside) {
+                const emitter = emitters.find(candidate => candidate.config.id === zone.config.emitter);
+                if (emitter && emitter.sound.buffer) playEmitter(emitter);
+            }
+            zone.inside = inside;
+        });
+    }
+
+    // --- LEVEL EDITOR IMPLEMENTATION FUNCTIONS ---
+
+    function toggleEditor() {
+        if (safeMode) {
+            console.warn('The level editor is off in safe mode (the layout emitters are not loaded)');
+            return;
+        }
+        if (!loadingState.ready) return;
+
+        editor.active = !editor.active;
+        editor.helpers.visible = editor.active;
+        editor.ui.panel.style.display = editor.active ? 'block' : 'none';
+        if (editor.active) {
+            controls.unlock();
+            // Fly on from wherever the game camera was looking
+            _editorEuler.setFromQuaternion(camera.quaternion, 'YXZ');
+            editor.yaw = _editorEuler.y;
+            editor.pitch = _editorEuler.x;
+        } else {
+            selectEditorItem(null);
+            editor.looking = false;
+        }
+    }
+
+    // WASD flies along the view, E / Q straight up / down, Shift is faster
+    function updateEditorCamera(delta) {
+        camera.quaternion.setFromEuler(_editorEuler.set(editor.pitch, editor.yaw, 0, 'YXZ'));
+
+        _editorMove.set(Number(keys.d) - Number(keys.a), 0, Number(keys.s) - Number(keys.w));
+        const vertical = Number(editor.keys.up) - Number(editor.keys.down);
+        if (_editorMove.lengthSq() === 0 && vertical === 0) return;
+
+        const speed = editor.flySpeed * (keys.shift ? editor.fastMultiplier : 1) * delta;
+        if (_editorMove.lengthSq() > 0) _editorMove.normalize().applyQuaternion(camera.quaternion);
+        _editorMove.y += vertical;
+        camera.position.addScaledVector(_editorMove, speed);
+    }
+
+    // Handles are drawn over everything, so markers under the water or inside hills stay clickable
+    function createEditorHandle(type, ref, geometry, color) {
+        const material = new THREE.MeshBasicMaterial({ color, depthTest: false, depthWrite: false, transparent: true, opacity: 0.8 });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.renderOrder = 999;
+        mesh.userData.editorItem = { type, ref, target: mesh };
+        editor.helpers.add(mesh);
+        return mesh;
+    }
+
+    function disposeEditorHandle(mesh) {
+        if (editor.selected && editor.selected.target === mesh) selectEditorItem(null);
+        mesh.removeFromParent();
+        mesh.traverse((child) => {
+            child.geometry.dispose();
+            child.material.dispose();
+        });
+    }
+
+    function findEditorItem(object) {
+        for (let node = object; node; node = node.parent) {
+            if (node.userData.editorItem) return node.userData.editorItem;
+        }
+        return null;
+    }
+
+    // Click: select the handle under the pointer, or place a new item with the current tool
+    function onEditorClick(event) {
+        const rect = renderer.domElement.getBoundingClientRect();
+        _editorPointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        editorRaycaster.setFromCamera(_editorPointer, camera);
+
+        // Zone boxes are big - only pick them when working with zones, not when placing through them
+        const handle = editorRaycaster.intersectObject(editor.helpers, true)
+            .map(hit => findEditorItem(hit.object))
+            .find(item => item && (item.type !== 'zone' || editor.tool === 'select' || editor.tool === 'zone'));
+        if (handle) {
+            selectEditorItem(handle);
+            return;
+        }
+        if (editor.tool === 'select') {
+            selectEditorItem(null);
+            return;
+        }
+
+        const hit = editorRaycaster.intersectObjects([realm.world.terrain, realm.water.mesh].filter(Boolean), true)[0];
+        if (hit) selectEditorItem(placeEditorItem(editor.tool, hit.point));
+    }
+
+    function placeEditorItem(tool, point) {
+        switch (tool) {
+            case 'foam':
+                return findEditorItem(createFoamMarker(point.x, point.z, 0.5).mesh);
+            case 'emitter': {
+                const position = [point.x, point.y + 1.0, point.z]; // About head height
+                return findEditorItem(placeEmitter({ id: uniqueLayoutId(editor.sound), sound: editor.sound, position }).helper);
+            }
+            case 'zone': {
+                // Plays the closest emitter until another one is picked in the panel
+                const nearest = emitters.filter(emitter => emitter.helper)
+                    .sort((a, b) => a.sound.position.distanceTo(point) - b.sound.position.distanceTo(point))[0];
+                if (!nearest) {
+                    setEditorStatus('Place an emitter first - a trigger zone plays one');
+                    return null;
+                }
+                const config = {
+                    id: uniqueLayoutId('zone'),
+                    position: [point.x, point.y + 1.5, point.z],
+                    size: [4, 3, 4],
+                    emitter: nearest.config.id
+                };
+                return findEditorItem(createTriggerZone(config).helper);
+            }
+            case 'spawn':
+                spawnPosition.copy(point);
+                editor.spawnHandle.position.copy(point);
+                return findEditorItem(editor.spawnHandle);
+        }
+        return null;
+    }
+
+    function uniqueLayoutId(base) {
+        const taken = new Set([...emitters.map(emitter => emitter.config.id), ...triggerZones.map(zone => zone.config.id)]);
+        let n = 1;
+        while (taken.has(`${base}${n}`)) n++;
+        return `${base}${n}`;
+    }
+
+    function selectEditorItem(item) {
+        editor.selected = item;
+        if (item) {
+            editor.transform.attach(item.target);
+            editor.transform.setMode('translate');
+            editor.transform.showY = item.type !== 'foam'; // Foam markers ride the river surface
+        } else {
+            editor.transform.detach();
+        }
+        updateEditorPanel();
+    }
+
+    // Gizmo moved the handle -> move what it stands for
+    function onEditorObjectChange() {
+        const item = editor.selected;
+        if (!item) return;
+        const handle = item.target;
+        switch (item.type) {
+            case 'foam':
+                item.ref.x = handle.position.x;
+                item.ref.z = handle.position.z;
+                placeRiverMarker(item.ref); // Back under the surface
+                break;
+            case 'emitter':
+                item.ref.sound.position.copy(handle.position);
+                break;
+            case 'zone':
+                handle.scale.max(new THREE.Vector3(0.5, 0.5, 0.5)); // No flipped or flat boxes
+                updateTriggerZoneBox(item.ref);
+                break;
+            case 'spawn':
+                spawnPosition.copy(handle.position);
+                break;
+        }
+        updateEditorPanel();
+    }
+
+    function deleteEditorSelection() {
+        const item = editor.selected;
+        if (!item || item.type === 'spawn') return; // There's always exactly one spawn
+        selectEditorItem(null);
+        if (item.type === 'foam') removeFoamMarker(item.ref);
+        if (item.type === 'emitter') removeEmitter(item.ref);
+        if (item.type === 'zone') removeTriggerZone(item.ref);
+    }
+
+    // The loaded scene file with the current layout and the GUI's river, cinematic and lighting values
+    function exportSceneLayout() {
+        const { river, cinematic, lightingPresets: presets } = collectTuning();
+        const json = JSON.stringify({ ...sceneConfig, river, cinematic, lightingPresets: presets, ...collectSceneLayout() }, null, 4) + '\n';
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = 'scene.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+        setEditorStatus('Exported scene.json - copy it to public/ to make it the startup layout');
+    }
+
+    // Takes the layout from a scene file; its models, river and lighting apply when it's the startup scene
+    function importSceneLayout(file) {
+        file.text().then((text) => {
+            const config = JSON.parse(text);
+            const problems = validateSceneConfig(config);
+            if (problems.length > 0) {
+                console.error(`${file.name} is not a usable scene file:`, problems);
+                setEditorStatus(`Can't import ${file.name}: ${problems[0]}${problems.length > 1 ? ` (+${problems.length - 1} more in the console)` : ''}`);
+                return;
+            }
+            applySceneLayout(config);
+            setEditorStatus(`Loaded the layout from ${file.name}`);
+        }).catch((error) => {
+            console.error(`Could not import ${file.name}:`, error);
+            setEditorStatus(`Could not import ${file.name}: ${error.message}`);
+        });
+    }
+
+    function setEditorStatus(text) {
+        editor.ui.status.textContent = text;
+    }
+
+    function createEditorPanel() {
+        const ui = editor.ui;
+        const buttonStyle = 'padding: 4px 10px; margin: 0 4px 6px 0; border: none; border-radius: 10px; cursor: pointer; color: white; font-family: inherit;';
+
+        ui.panel = document.createElement('div');
+        ui.panel.style.cssText = `
+            position: absolute;
+            bottom: 20px;
+            left: 20px;
+            width: 320px;
+            padding: 16px 20px;
+            color: white;
+            background: rgba(20, 20, 30, 0.85);
+            border-radius: 16px;
+            z-index: 1000;
+            box-shadow: 0 4px 15px rgba(0,0,0,0.3);
+            font-family: 'Segoe UI', Arial, sans-serif;
+            font-size: 14px;
+            display: none;
+        `;
+        // Clicks in the panel must not reach the world
+        ui.panel.addEventListener('click', (e) => e.stopPropagation());
+        ui.panel.addEventListener('mousedown', (e) => e.stopPropagation());
+
+        const title = document.createElement('div');
+        title.style.cssText = 'font-weight: bold; margin-bottom: 8px;';
+        title.textContent = 'Level Editor (F2)';
+        ui.panel.appendChild(title);
+
+        ui.tools = {};
+        const toolRow = document.createElement('div');
+        [['select', 'Select'], ['foam', 'Foam'], ['emitter', 'Emitter'], ['zone', 'Zone'], ['spawn', 'Spawn']].forEach(([tool, label]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.style.cssText = buttonStyle;
+            button.addEventListener('click', () => {
+                editor.tool = tool;
+                updateEditorPanel();
+            });
+            ui.tools[tool] = button;
+            toolRow.appendChild(button);
+        });
+        ui.panel.appendChild(toolRow);
+
+        ui.sound = document.createElement('select');
+        ui.sound.style.cssText = 'width: 100%; margin-bottom: 8px;';
+        Object.keys(emitterSounds).forEach((name) => ui.sound.add(new Option(name, name)));
+        ui.sound.value = editor.sound;
+        ui.sound.addEventListener('change', () => { editor.sound = ui.sound.value; });
+        ui.panel.appendChild(ui.sound);
+
+        ui.selection = document.createElement('div');
+        ui.selection.style.cssText = 'margin-bottom: 8px; opacity: 0.9;';
+        ui.panel.appendChild(ui.selection);
+
+        // Which emitter the selected trigger zone plays
+        ui.zoneEmitter = document.createElement('select');
+        ui.zoneEmitter.style.cssText = 'width: 100%; margin-bottom: 8px;';
+        ui.zoneEmitter.addEventListener('change', () => {
+            if (editor.selected && editor.selected.type === 'zone') editor.selected.ref.config.emitter = ui.zoneEmitter.value;
+        });
+        ui.panel.appendChild(ui.zoneEmitter);
+
+        const actions = document.createElement('div');
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) importSceneLayout(fileInput.files[0]);
+            fileInput.value = '';
+        });
+        [['Delete', deleteEditorSelection], ['Export', exportSceneLayout], ['Import', () => fileInput.click()]].forEach(([label, action]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.style.cssText = buttonStyle + 'background: #34495e;';
+            button.addEventListener('click', action);
+            actions.appendChild(button);
+        });
+        actions.appendChild(fileInput);
+        ui.panel.appendChild(actions);
+
+        ui.status = document.createElement('div');
+        ui.status.style.cssText = 'font-size: 12px; margin-bottom: 6px; color: #f1c40f;';
+        ui.panel.appendChild(ui.status);
+
+        const help = document.createElement('div');
+        help.style.cssText = 'font-size: 12px; opacity: 0.7; line-height: 1.4;';
+        help.textContent = 'Right-drag: look · WASD: fly · E/Q: up/down · Shift: faster · T/R: move/scale zone · Del: delete · Esc: deselect';
+        ui.panel.appendChild(help);
+
+        root.appendChild(ui.panel);
+        updateEditorPanel();
+    }
+
+    function updateEditorPanel() {
+        const ui = editor.ui;
+        if (!ui.panel) return;
+
+        Object.entries(ui.tools).forEach(([tool, button]) => {
+            button.style.background = tool === editor.tool ? '#e67e22' : '#34495e';
+        });
+        ui.sound.style.display = editor.tool === 'emitter' ? 'block' : 'none';
+
+        const item = editor.selected;
+        const isZone = item && item.type === 'zone';
+        ui.zoneEmitter.style.display = isZone ? 'block' : 'none';
+        if (!item) {
+            ui.selection.textContent = 'Nothing selected';
+            return;
+        }
+
+        const p = item.target.position;
+        const names = {
+            foam: () => 'Foam marker',
+            emitter: () => `Emitter ${item.ref.config.id} (${item.ref.config.sound})`,
+            zone: () => `Trigger zone ${item.ref.config.id}`,
+            spawn: () => 'Player spawn'
+        };
+        ui.selection.textContent = `${names[item.type]()} at ${p.x.toFixed(2)}, ${p.y.toFixed(2)}, ${p.z.toFixed(2)}`;
+
+        if (isZone) {
+            const ids = emitters.filter(emitter => emitter.helper).map(emitter => emitter.config.id);
+            ui.zoneEmitter.replaceChildren(...ids.map(id => new Option(`Plays: ${id}`, id)));
+            ui.zoneEmitter.value = item.ref.config.emitter;
+        }
+    }
+
+    function updateGraphicsButton() {
+        const active = qualityTiers[quality.active].name;
+        if (qualitySettings.tier !== 'auto') graphicsButton.textContent = `🖥️ ${active}`;
+        else graphicsButton.textContent = quality.benchmark.running ? '🖥️ Auto (testing...)' : `🖥️ Auto (${active})`;
+    }
+
+    // --- TEARDOWN ---
+
+    // The buttons and panels leave with the realm's root; the layout's sounds, markers and handles
+    // are released through their owners
+    function dispose() {
+        clearSceneLayout();
+        disposeEditorHandle(editor.spawnHandle);
+        editor.transform.detach();
+        editor.transform.dispose();
+        gui.destroy();
+    }
+
+    return {
+        presetButton,
+        weatherButton,
+        gui,
+        editor,
+        emitterHandleColors,
+        updateAudioButton,
+        toggleDebugPanel,
+        restoreTuning,
+        applySceneLayout,
+        updateTriggerZones,
+        toggleEditor,
+        updateEditorCamera,
+        createEditorHandle,
+        disposeEditorHandle,
+        updateGraphicsButton,
+        dispose
+    };
+}
@@ -0,0 +1,824 @@
+import * as THREE from 'three';
+import { Water } from 'three/addons/objects/Water.js';
+
+// Water: the spline river (surface, foam, waterfalls and mist) and its sound. Foam and mist step
+// with the fixed simulation (stepWaterParticles); the surface animates every frame (updateWater).
+
+export function createWaterSystem(realm) {
+    const { sceneConfig } = realm;
+    const { scene, qualityTiers, quality, textures } = realm.world;
+    const { listener, routeToBus, loadAudioBuffer } = realm.audio;
+    const { sun } = realm.lighting;
+
+    // --- WATER & RIVER GLOBALS ---
+    let water, foamSystem, foamUniforms, mistSystem, mistUniforms;
+    let foamAlong, foamAcross; // River-space coordinates of each foam particle
+    let waterfalls = []; // One curtain per authored drop (riverPath.drops)
+    const waterfallSounds = [];
+    let rocks = [];
+    const riverParams = {
+        speed: sceneConfig.river.speed,
+        waveHeight: sceneConfig.river.waveHeight,
+        foamAmount: 9000, 
+        foamSize: sceneConfig.river.foamSize,
+        mistAmount: 5000,   // Waterfall mist particles (set by the graphics quality tier)
+        segmentLength: 1.0, // Spline resampling step (also the surface mesh's row spacing)
+        crossSegments: 48   // Surface mesh columns bank to bank
+    };
+
+    // --- RIVER PATH ---
+    // Spline through the scene's river points, resampled every segmentLength units of arc length.
+    // Water, foam, current, mist and the river sound work in river space: `along` = distance
+    // downstream from the first point, `across` = signed distance from the centerline.
+    const riverPath = {
+        curve: null,
+        length: 0,
+        spacing: 1,   // Exact arc length between samples
+        samples: [],  // { t, position, tangent, normal, width }
+        drops: []     // { position, direction, normal, width, height } - waterfall lips
+    };
+    const riverPoints = sceneConfig.river.points; // { position, width, drop } - edited in place by the GUI
+
+    const foamVertexShader = `
+        attribute float life;
+        attribute float offset;
+        uniform float time;
+        uniform float size;
+        varying float vLife;
+        varying float vOffset;
+
+        void main() {
+            vLife = life;
+            vOffset = offset;
+            vec4 mvPosition = modelViewMatrix * vec4( position, 1.0 );
+            gl_Position = projectionMatrix * mvPosition;
+
+            // Base Size * Pulse * Life Fade * Perspective Scale
+            float pulse = 1.0 + 0.3 * sin(time * 10.0 + offset);
+            gl_PointSize = size * pulse * vLife * ( 300.0 / -mvPosition.z );
+        }
+    `;
+
+    const foamFragmentShader = `
+        uniform vec3 color;
+        uniform sampler2D map;
+        uniform float time;
+        varying float vLife;
+        varying float vOffset;
+
+        void main() {
+            vec4 texColor = texture2D( map, gl_PointCoord );
+            if (texColor.a < 0.01) discard;
+
+            // Flicker
+            float flicker = 0.7 + 0.3 * sin(time * 20.0 + vOffset * 10.0);
+            float alpha = texColor.a * vLife * flicker;
+
+            gl_FragColor = vec4( color, alpha );
+        }
+    `;
+    riverParams.foamAmount = qualityTiers[quality.active].foamAmount;
+    riverParams.mistAmount = qualityTiers[quality.active].mistAmount;
+
+    // --- WATER SETUP ---
+    buildRiverPath();
+    water = new MirrorWater(
+        createRiverGeometry(),
+        {
+            textureWidth: qualityTiers[quality.active].reflectionSize,
+            textureHeight: qualityTiers[quality.active].reflectionSize,
+            waterNormals: textures.waterNormals,
+            sunDirection: new THREE.Vector3(),
+            sunColor: 0xffffee,
+            waterColor: 0x001122,
+            distortionScale: 5.0,
+            fog: scene.fog !== undefined,
+            alpha: 0.9
+        }
+    );
+    water.rotation.x = - Math.PI / 2;
+    water.position.y = riverPath.samples[0].position.y; // Reflection plane at the source's height
+    scene.add( water );
+    water.material.uniforms[ 'sunDirection' ].value.copy( sun ).normalize();
+
+    // Boost water reflectivity for cinematic shine
+    water.material.uniforms[ 'size' ].value = 2.0; // Smaller ripples = sharper reflections
+    const riverSound = routeToBus( new THREE.PositionalAudio( listener ), 'water' );
+    loadAudioBuffer('sounds/river-flow.mp3').then((buffer) => {
+        riverSound.setBuffer( buffer );
+        riverSound.setRefDistance( 15 ); // Distance where volume starts to drop
+        riverSound.setRolloffFactor( 1 ); // Rate of volume drop
+        riverSound.setLoop( true );
+        if (buffer.duration > 1.0) {
+            riverSound.setLoopStart(0.5);
+            riverSound.setLoopEnd(buffer.duration - 0.5); 
+        }
+        riverSound.setVolume( 1.0 );
+        riverSound.play();
+    });
+    scene.add( riverSound ); // Attach to scene so we can move it freely along the river path
+
+    // Foam markers come from the scene layout (public/scene.json, see SCENE LAYOUT)
+
+    // Foam
+    createFoamSystem();
+
+    // Waterfalls and Mist
+    createWaterfalls();
+    createMistSystem();
+
+    // Foam markers of the scene layout, placed by the UI (applySceneLayout) and the level editor
+    const foamMarkers = [];  // Layout markers (also in `rocks`, which spawns the foam)
+
+    // --- WATER IMPLEMENTATION FUNCTIONS ---
+
+    const _riverSample = {
+        along: 0, across: 0, width: 0, inside: false,
+        position: new THREE.Vector3(), tangent: new THREE.Vector3(), normal: new THREE.Vector3()
+    };
+    const _riverFrame = {
+        width: 0,
+        position: new THREE.Vector3(), tangent: new THREE.Vector3(), normal: new THREE.Vector3()
+    };
+
+    // Resamples the spline through riverPoints by arc length and finds the waterfall lips
+    function buildRiverPath() {
+        const curve = new THREE.CatmullRomCurve3(riverPoints.map(point => new THREE.Vector3().fromArray(point.position)), false, 'centripetal');
+        const length = curve.getLength();
+        const count = Math.max(1, Math.ceil(length / riverParams.segmentLength));
+        const last = riverPoints.length - 1;
+
+        riverPath.curve = curve;
+        riverPath.length = length;
+        riverPath.spacing = length / count;
+        riverPath.samples = [];
+
+        for (let i = 0; i <= count; i++) {
+            const t = curve.getUtoTmapping(i / count);
+            const tangent = curve.getTangent(t);
+            tangent.y = 0; // Flow and banks are horizontal, even where the surface steps down
+            tangent.normalize();
+
+            // Width eases between the neighbouring points
+            const f = t * last;
+            const k = Math.min(Math.floor(f), last - 1);
+            const width = THREE.MathUtils.lerp(riverPoints[k].width, riverPoints[k + 1].width, f - k);
+
+            riverPath.samples.push({
+                t,
+                position: curve.getPoint(t),
+                tangent,
+                normal: new THREE.Vector3(tangent.z, 0, -tangent.x),
+                width
+            });
+        }
+
+        // Waterfall lips at the points with a drop
+        riverPath.drops = [];
+        riverPoints.forEach((point, k) => {
+            if (!point.drop) return;
+            const t = k / last;
+            let sample = riverPath.samples[0];
+            riverPath.samples.forEach((s) => {
+                if (Math.abs(s.t - t) < Math.abs(sample.t - t)) sample = s;
+            });
+            // The first point pours off the back, every other one downstream
+            const direction = sample.tangent.clone();
+            if (k === 0) direction.negate();
+            riverPath.drops.push({
+                position: sample.position.clone(),
+                direction,
+                normal: new THREE.Vector3(direction.z, 0, -direction.x),
+                width: point.width,
+                height: point.drop
+            });
+        });
+    }
+
+    // Centerline frame `along` units downstream (clamped to the river): position, tangent, normal, width
+    function riverFrameAt(along, target = _riverFrame) {
+        const samples = riverPath.samples;
+        const f = THREE.MathUtils.clamp(along / riverPath.spacing, 0, samples.length - 1);
+        const i = Math.min(Math.floor(f), samples.length - 2);
+        const t = f - i;
+        const a = samples[i];
+        const b = samples[i + 1];
+        target.position.lerpVectors(a.position, b.position, t);
+        target.tangent.lerpVectors(a.tangent, b.tangent, t).normalize();
+        target.normal.set(target.tangent.z, 0, -target.tangent.x);
+        target.width = a.width + (b.width - a.width) * t;
+        return target;
+    }
+
+    // Closest point of the river to a world position, in river space. `inside` = within the banks
+    // and between the ends (height is ignored). The returned object is reused by the next call.
+    function sampleRiverAt(position, target = _riverSample) {
+        const samples = riverPath.samples;
+        const last = samples.length - 2;
+        let best = Infinity;
+        let bestIndex = 0;
+        let bestT = 0;
+
+        for (let i = 0; i <= last; i++) {
+            const a = samples[i].position;
+            const b = samples[i + 1].position;
+            const abX = b.x - a.x;
+            const abZ = b.z - a.z;
+            const t = THREE.MathUtils.clamp(((position.x - a.x) * abX + (position.z - a.z) * abZ) / (abX * abX + abZ * abZ), 0, 1);
+            const dx = position.x - (a.x + abX * t);
+            const dz = position.z - (a.z + abZ * t);
+            const distance = dx * dx + dz * dz;
+            if (distance < best) {
+                best = distance;
+                bestIndex = i;
+                bestT = t;
+            }
+        }
+
+        // Past either end, let `along` run off the river so those positions don't count as inside
+        if (bestIndex === 0 || bestIndex === last) {
+            const a = samples[bestIndex].position;
+            const b = samples[bestIndex + 1].position;
+            const abX = b.x - a.x;
+            const abZ = b.z - a.z;
+            const t = ((position.x - a.x) * abX + (position.z - a.z) * abZ) / (abX * abX + abZ * abZ);
+            if ((bestIndex === 0 && t < 0) || (bestIndex === last && t > 1)) bestT = t;
+        }
+
+        target.along = (bestIndex + bestT) * riverPath.spacing;
+        riverFrameAt(target.along, target);
+        target.across = (position.x - target.position.x) * target.normal.x + (position.z - target.position.z) * target.normal.z;
+        target.inside = target.along >= 0 && target.along <= riverPath.length && Math.abs(target.across) < target.width / 2;
+        return target;
+    }
+
+    // Horizontal unit vector the river flows along at the closest point to `position`
+    function getFlowDirection(position, target) {
+        return target.copy(sampleRiverAt(position).tangent);
+    }
+
+    // Ribbon along the spline, in the water's local space (rotated flat like a PlaneGeometry)
+    function createRiverGeometry() {
+        const samples = riverPath.samples;
+        const baseHeight = samples[0].position.y;
+        const cols = riverParams.crossSegments + 1;
+        const count = samples.length * cols;
+        const positions = new Float32Array(count * 3);
+        const uvs = new Float32Array(count * 2);
+        const indices = [];
+
+        // Per-vertex river space and rest height, used to animate the waves in updateWater()
+        const surface = {
+            along: new Float32Array(count),
+            across: new Float32Array(count),
+            base: new Float32Array(count)
+        };
+
+        samples.forEach((sample, row) => {
+            for (let col = 0; col < cols; col++) {
+                const v = row * cols + col;
+                const across = (col / (cols - 1) - 0.5) * sample.width;
+                const x = sample.position.x + sample.normal.x * across;
+                const z = sample.position.z + sample.normal.z * across;
+                // Local (x, y, z) = world (x, -z, y) once rotated by -90 degrees about X
+                positions[v * 3] = x;
+                positions[v * 3 + 1] = -z;
+                positions[v * 3 + 2] = sample.position.y - baseHeight;
+                uvs[v * 2] = col / (cols - 1);
+                uvs[v * 2 + 1] = row / (samples.length - 1);
+                surface.along[v] = row * riverPath.spacing;
+                surface.across[v] = across;
+                surface.base[v] = sample.position.y - baseHeight;
+
+                if (row < samples.length - 1 && col < cols - 1) {
+                    const a = v;
+                    const b = v + cols;
+                    const c = v + cols + 1;
+                    const d = v + 1;
+                    indices.push(a, b, d, b, c, d); // Facing up after the rotation
+                }
+            }
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+        geometry.userData.surface = surface;
+        return geometry;
+    }
+
+    // Re-runs the spline after a point was edited and fits everything that hangs off it
+    function rebuildRiver() {
+        buildRiverPath();
+
+        if (water) {
+            water.geometry.dispose();
+            water.geometry = createRiverGeometry();
+            water.position.y = riverPath.samples[0].position.y;
+        }
+        updateWaterfalls();
+        rocks.forEach(placeRiverMarker);
+    }
+
+    function createRock(x, z, radius) {
+        const geometry = new THREE.IcosahedronGeometry( radius, 1 );
+        const material = new THREE.MeshStandardMaterial( { color: 0x111111, roughness: 0.6, flatShading: true } );
+        const mesh = new THREE.Mesh( geometry, material );
+        mesh.rotation.set(Math.random(), Math.random(), Math.random());
+        mesh.scale.set(1.3, 0.7, 1.1);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        scene.add( mesh );
+        const rock = { x: x, z: z, radius: radius * 1.5, mesh: mesh };
+        placeRiverMarker(rock);
+        rocks.push(rock);
+    }
+
+    function createFoamMarker(x, z, radius) {
+        // World position stays put; its river-space coordinates follow edits to the path
+        const marker = { x: x, z: z, radius: radius, mesh: null };
+
+        // Level editor handle (Red Wireframe Sphere)
+        marker.mesh = realm.ui.createEditorHandle('foam', marker, new THREE.SphereGeometry(radius, 8, 8), 0xff0000);
+        marker.mesh.material.wireframe = true;
+
+        placeRiverMarker(marker);
+        rocks.push(marker);
+        foamMarkers.push(marker);
+        return marker;
+    }
+
+    function removeFoamMarker(marker) {
+        rocks.splice(rocks.indexOf(marker), 1);
+        foamMarkers.splice(foamMarkers.indexOf(marker), 1);
+        realm.ui.disposeEditorHandle(marker.mesh);
+    }
+
+    // Converts a rock / foam marker to river space and sinks its mesh just under the surface
+    function placeRiverMarker(rock) {
+        const river = sampleRiverAt(new THREE.Vector3(rock.x, 0, rock.z));
+        rock.along = river.along;
+        rock.across = river.across;
+        if (rock.mesh) rock.mesh.position.set(rock.x, river.position.y - 0.8, rock.z);
+    }
+
+    function createWaterfalls() {
+        // Unit plane in XY (vertical, facing +Z), scaled to each drop's width and height
+        const geometry = new THREE.PlaneGeometry(1, 1, 10, 10);
+        waterfalls = riverPath.drops.map(() => {
+            const curtain = new MirrorWater(geometry, {
+                textureWidth: qualityTiers[quality.active].reflectionSize,
+                textureHeight: qualityTiers[quality.active].reflectionSize,
+                waterNormals: textures.waterNormals,
+                sunDirection: new THREE.Vector3(),
+                sunColor: 0xffffee,
+                waterColor: 0x002233,
+                distortionScale: 6.0,
+                fog: scene.fog !== undefined,
+                alpha: 0.85
+            });
+            scene.add(curtain);
+            return curtain;
+        });
+        updateWaterfalls();
+
+        // --- AUDIO: WATERFALL ---
+        // Load once, one looping source per curtain
+        loadAudioBuffer('sounds/waterfall.mp3').then((buffer) => {
+            waterfalls.forEach((curtain) => {
+                const wfSound = routeToBus( new THREE.PositionalAudio( listener ), 'water' );
+                wfSound.setBuffer( buffer );
+                wfSound.setRefDistance( 5 ); // Reduced ref distance to make falloff sharper
+                wfSound.setRolloffFactor( 5 ); // High rolloff so sound dies quickly away from source
+                wfSound.setLoop( true );
+                if (buffer.duration > 1.0) {
+                    wfSound.setLoopStart(0.5);
+                    wfSound.setLoopEnd(buffer.duration - 0.5);
+                }
+                wfSound.setVolume( 1.5 );
+                wfSound.play();
+                curtain.add( wfSound ); // Attached to mesh
+                waterfallSounds.push(wfSound);
+            });
+        });
+    }
+
+    // Hangs each curtain from its lip, facing the way the water pours
+    function updateWaterfalls() {
+        riverPath.drops.forEach((drop, i) => {
+            const curtain = waterfalls[i];
+            if (!curtain) return; // Drops added in the GUI show up after a reload
+            curtain.position.copy(drop.position);
+            curtain.position.y -= drop.height / 2;
+            curtain.rotation.set(0, Math.atan2(drop.direction.x, drop.direction.z), 0);
+            curtain.scale.set(drop.width, drop.height, 1);
+        });
+    }
+
+    function createMistSystem() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 32; canvas.height = 32;
+        const context = canvas.getContext('2d');
+        const grad = context.createRadialGradient(16,16,0, 16,16,16);
+        grad.addColorStop(0, 'rgba(255,255,255,0.8)'); // More opaque for "cloud" look
+        grad.addColorStop(1, 'rgba(255,255,255,0)');
+        context.fillStyle = grad;
+        context.fillRect(0,0,32,32);
+        const texture = new THREE.CanvasTexture(canvas);
+
+        const count = riverParams.mistAmount; // More particles better density
+        const geometry = new THREE.BufferGeometry();
+        const positions = new Float32Array(count * 3);
+        const lives = new Float32Array(count);
+        const offsets = new Float32Array(count);
+
+        for(let i=0; i<count; i++) {
+            positions[i*3] = 0; positions[i*3+1] = -500; positions[i*3+2] = 0; // Hide initially
+            lives[i] = Math.random();
+            offsets[i] = Math.random() * 100;
+        }
+
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('life', new THREE.BufferAttribute(lives, 1));
+        geometry.setAttribute('offset', new THREE.BufferAttribute(offsets, 1));
+
+        mistUniforms = {
+            time: { value: 0 },
+            size: { value: 6.0 }, // Much Huge particles to cover edge
+            color: { value: new THREE.Color(0xffffff) },
+            map: { value: texture }
+        };
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: mistUniforms,
+            vertexShader: foamVertexShader, // Reuse foam shader
+            fragmentShader: foamFragmentShader,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.NormalBlending
+        });
+
+        // Particles live in world space, spawned at the waterfall lips
+        mistSystem = new THREE.Points(geometry, material);
+        mistSystem.frustumCulled = false;
+        scene.add(mistSystem);
+    }
+
+    function createFoamSystem() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 32; canvas.height = 32;
+        const context = canvas.getContext('2d');
+        const grad = context.createRadialGradient(16,16,0, 16,16,16);
+        grad.addColorStop(0, 'rgba(255,255,255,1)');
+        grad.addColorStop(1, 'rgba(255,255,255,0)');
+        context.fillStyle = grad;
+        context.fillRect(0,0,32,32);
+        const texture = new THREE.CanvasTexture(canvas);
+
+        const geometry = new THREE.BufferGeometry();
+        const count = riverParams.foamAmount;
+
+        const positions = new Float32Array(count * 3);
+        const lives = new Float32Array(count);
+        const offsets = new Float32Array(count);
+        foamAlong = new Float32Array(count);
+        foamAcross = new Float32Array(count);
+
+        for(let i=0; i<count; i++) {
+            // Pre-seed positions so foam appears immediately
+            seedFoamParticle(i);
+            const frame = riverFrameAt(foamAlong[i]);
+            positions[i*3] = frame.position.x + frame.normal.x * foamAcross[i];
+            positions[i*3+1] = frame.position.y + 0.05;
+            positions[i*3+2] = frame.position.z + frame.normal.z * foamAcross[i];
+
+            lives[i] = Math.random();
+            offsets[i] = Math.random() * 100;
+        }
+
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('life', new THREE.BufferAttribute(lives, 1));
+        geometry.setAttribute('offset', new THREE.BufferAttribute(offsets, 1));
+
+        foamUniforms = {
+            time: { value: 0 },
+            size: { value: riverParams.foamSize }, // Use current param value
+            color: { value: new THREE.Color( 0xffffff ) },
+            map: { value: texture }
+        };
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: foamUniforms,
+            vertexShader: foamVertexShader,
+            fragmentShader: foamFragmentShader,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.NormalBlending
+        });
+
+        // Particles live in world space (positions follow the river's curve)
+        foamSystem = new THREE.Points(geometry, material);
+        foamSystem.frustumCulled = false;
+        scene.add(foamSystem);
+    }
+
+    // New foam around a rock / marker (60%) or along a bank, in river space
+    function seedFoamParticle(i) {
+        if(Math.random() < 0.6 && rocks.length > 0) {
+            const rock = rocks[Math.floor(Math.random() * rocks.length)];
+            const r = rock.radius + (Math.random() * 0.5);
+            const a = Math.random() * Math.PI * 2;
+            foamAlong[i] = rock.along + Math.cos(a) * r;
+            foamAcross[i] = rock.across + Math.sin(a) * r;
+        } else {
+            const side = Math.random() > 0.5 ? 1 : -1;
+            foamAlong[i] = Math.random() * riverPath.length;
+            const edge = (riverFrameAt(foamAlong[i]).width * 0.5 - 0.2) * side;
+            foamAcross[i] = edge + (Math.random() * 0.5 * -side);
+        }
+    }
+
+    function updateFoamCount() {
+        scene.remove(foamSystem);
+        foamSystem.geometry.dispose();
+        foamSystem.material.dispose();
+        createFoamSystem();
+    }
+
+    function updateMistCount() {
+        scene.remove(mistSystem);
+        mistSystem.geometry.dispose();
+        mistSystem.material.uniforms.map.value.dispose();
+        mistSystem.material.dispose();
+        createMistSystem();
+    }
+
+    function getWaveHeight(along, across, time) {
+        let h = 0;
+        h += Math.sin( along * 0.8 + time * riverParams.speed ) * 0.5;
+        h += Math.sin( along * 1.5 + across * 1.2 + time * riverParams.speed * 1.2 ) * 0.3;
+        h += Math.sin( along * 3.0 + time * riverParams.speed * 2.0 ) * 0.1;
+        return h * riverParams.waveHeight;
+    }
+
+    function updateWater(time) {
+        // 1. UPDATE WATER
+        if (water) {
+            const position = water.geometry.attributes.position;
+            const surface = water.geometry.userData.surface;
+            for ( let i = 0; i < position.count; i ++ ) {
+                const along = surface.along[ i ];
+                const across = surface.across[ i ];
+                let h = getWaveHeight(along, across, time);
+                // Rock push
+                for(let r=0; r<rocks.length; r++) {
+                    const dx = along - rocks[r].along;
+                    const dy = across - rocks[r].across;
+                    const dist = Math.sqrt(dx*dx + dy*dy);
+                    if( dist < rocks[r].radius * 2.5 ) {
+                        h += (1.0 - (dist / (rocks[r].radius * 2.5))) * 0.6;
+                    }
+                }
+                position.setZ( i, surface.base[ i ] + h );
+            }
+            water.geometry.attributes.position.needsUpdate = true;
+            water.geometry.computeVertexNormals();
+
+            water.material.uniforms[ 'time' ].value = time; // Was += 1/60 per frame
+        }
+
+        // 2. UPDATE WATERFALL SHADER
+        waterfalls.forEach((curtain) => {
+            curtain.material.uniforms['time'].value = time * 3.0; // Was += 1/20 per frame
+        });
+    }
+
+    // Foam and mist advance by a fixed amount per call, so they run on the simulation step
+    function stepWaterParticles(time) {
+        // 1. UPDATE FOAM
+        if(foamSystem) {
+            foamSystem.material.uniforms.time.value = time;
+            const positions = foamSystem.geometry.attributes.position.array;
+            const lives = foamSystem.geometry.attributes.life.array;
+            const offsets = foamSystem.geometry.attributes.offset.array;
+
+            // Where the player is in river space (only needed when foam respawns around them)
+            let playerAlong = 0;
+            let playerAcross = 0;
+            let playerInWater = false;
+            if (realm.player.model && realm.player.waterState.mode !== 'dry') {
+                const river = sampleRiverAt(realm.player.model.position);
+                playerInWater = river.inside;
+                playerAlong = river.along;
+                playerAcross = river.across;
+            }
+
+            for(let i=0; i<riverParams.foamAmount; i++) {
+
+                lives[i] -= 0.01 * riverParams.speed;
+
+                if(lives[i] <= 0) {
+                    // Respawn
+                    lives[i] = 1.0;
+
+                    let spawnedOnPlayer = false;
+                    // Wading or swimming (feet under the surface, strictly within the banks)
+                    if (playerInWater) {
+                        const burst = realm.player.waterState.foamBurst > 0; // Entry splash / swim stroke
+                        if (burst || Math.random() < 0.08) { // 8% chance (Reduced to avoid being too much)
+                            if (burst) realm.player.waterState.foamBurst--;
+                            spawnedOnPlayer = true;
+                            const r = burst ? 0.3 + Math.random() * 1.2 : 0.3 + Math.random() * 0.5; // Tighter radius
+                            const a = Math.random() * Math.PI * 2;
+                            foamAlong[i] = playerAlong + Math.cos(a) * r;
+                            foamAcross[i] = playerAcross + Math.sin(a) * r;
+                        }
+                    }
+
+                    if (!spawnedOnPlayer) seedFoamParticle(i);
+                } else {
+                    // Move downstream, wobbling across the flow
+                    foamAlong[i] += 0.08 * riverParams.speed;
+                    foamAcross[i] += Math.sin(time * 5 + offsets[i]) * 0.02;
+                    if (foamAlong[i] > riverPath.length) lives[i] = 0; // Went over the edge, respawn next step
+                }
+
+                // Back to world space, locked to wave height
+                const frame = riverFrameAt(foamAlong[i]);
+                positions[i*3] = frame.position.x + frame.normal.x * foamAcross[i];
+                positions[i*3+1] = frame.position.y + getWaveHeight(foamAlong[i], foamAcross[i], time) + 0.05;
+                positions[i*3+2] = frame.position.z + frame.normal.z * foamAcross[i];
+            }
+
+            foamSystem.geometry.attributes.position.needsUpdate = true;
+            foamSystem.geometry.attributes.life.needsUpdate = true;
+        }
+
+        // 2. UPDATE MIST
+        if (mistSystem && riverPath.drops.length > 0) {
+            mistSystem.material.uniforms.time.value = time;
+            const positions = mistSystem.geometry.attributes.position.array;
+            const lives = mistSystem.geometry.attributes.life.array;
+            const count = positions.length / 3;
+
+            for (let i = 0; i < count; i++) {
+                lives[i] -= 0.015; // Fade slower (linger longer)
+
+                if (lives[i] <= 0) {
+                    lives[i] = 1.0;
+                    // Respawn at the lip of a random waterfall
+                    const drop = riverPath.drops[Math.floor(Math.random() * riverPath.drops.length)];
+
+                    // Across: anywhere over the lip's width
+                    // Up: spread around the lip (slightly up and down)
+                    // Out: spread thick around the edge (+/- 1.5 units)
+                    const across = (Math.random() - 0.5) * drop.width;
+                    const out = (Math.random() - 0.5) * 3.0;
+                    positions[i*3] = drop.position.x + drop.normal.x * across + drop.direction.x * out;
+                    positions[i*3+1] = drop.position.y + (Math.random() * 1.5) - 0.5;
+                    positions[i*3+2] = drop.position.z + drop.normal.z * across + drop.direction.z * out;
+                } else {
+                    // Fall Down Slower (Float like smoke)
+                    positions[i*3+1] -= 0.15;
+
+                    // Expand outward slightly
+                    positions[i*3] += (Math.random() - 0.5) * 0.05;
+                    positions[i*3+2] += (Math.random() - 0.5) * 0.05;
+                }
+            }
+
+            mistSystem.geometry.attributes.position.needsUpdate = true;
+            mistSystem.geometry.attributes.life.needsUpdate = true;
+        }
+    }
+
+    // --- TEARDOWN ---
+
+    // The world's scene sweep frees the geometries, materials and textures; the reflection targets
+    // and the river's sounds are this system's own
+    function dispose() {
+        [water, ...waterfalls].forEach(mesh => mesh.reflectionTarget.dispose());
+        [riverSound, ...waterfallSounds].forEach(realm.audio.releaseSound);
+        waterfallSounds.length = 0;
+    }
+
+    return {
+        get mesh() { return water; },
+        get foamUniforms() { return foamUniforms; },
+        get waterfalls() { return waterfalls; },
+        riverParams,
+        riverPoints,
+        riverSound,
+        foamMarkers,
+        riverFrameAt,
+        sampleRiverAt,
+        getFlowDirection,
+        rebuildRiver,
+        createFoamMarker,
+        removeFoamMarker,
+        placeRiverMarker,
+        updateFoamCount,
+        updateMistCount,
+        updateWater,
+        stepWaterParticles,
+        dispose
+    };
+}
+
+// --- MIRROR WATER ---
+// three's Water with a reflection render target of its own (reflectionTarget), so dispose() can
+// free it whether or not the mesh ever rendered. Water's own target is never rendered into, so it
+// never reaches the GPU. The reflection pass is Water's, drawn into reflectionTarget instead.
+class MirrorWater extends Water {
+    constructor(geometry, options = {}) {
+        super(geometry, options);
+
+        const uniforms = this.material.uniforms;
+        this.reflectionTarget = new THREE.WebGLRenderTarget(options.textureWidth || 512, options.textureHeight || 512);
+        uniforms['mirrorSampler'].value = this.reflectionTarget.texture;
+
+        const clipBias = options.clipBias || 0;
+        const textureMatrix = uniforms['textureMatrix'].value;
+        const eye = uniforms['eye'].value;
+        const mirrorCamera = new THREE.PerspectiveCamera();
+        const mirrorPlane = new THREE.Plane();
+        const normal = new THREE.Vector3();
+        const mirrorWorldPosition = new THREE.Vector3();
+        const cameraWorldPosition = new THREE.Vector3();
+        const rotationMatrix = new THREE.Matrix4();
+        const lookAtPosition = new THREE.Vector3();
+        const view = new THREE.Vector3();
+        const target = new THREE.Vector3();
+        const clipPlane = new THREE.Vector4();
+        const q = new THREE.Vector4();
+
+        this.onBeforeRender = (renderer, scene, camera) => {
+            mirrorWorldPosition.setFromMatrixPosition(this.matrixWorld);
+            cameraWorldPosition.setFromMatrixPosition(camera.matrixWorld);
+            rotationMatrix.extractRotation(this.matrixWorld);
+            normal.set(0, 0, 1).applyMatrix4(rotationMatrix);
+
+            // Nothing to reflect when the mirror faces away
+            view.subVectors(mirrorWorldPosition, cameraWorldPosition);
+            if (view.dot(normal) > 0) return;
+            view.reflect(normal).negate().add(mirrorWorldPosition);
+
+            rotationMatrix.extractRotation(camera.matrixWorld);
+            lookAtPosition.set(0, 0, -1).applyMatrix4(rotationMatrix).add(cameraWorldPosition);
+            target.subVectors(mirrorWorldPosition, lookAtPosition).reflect(normal).negate().add(mirrorWorldPosition);
+
+            mirrorCamera.position.copy(view);
+            mirrorCamera.up.set(0, 1, 0).applyMatrix4(rotationMatrix).reflect(normal);
+            mirrorCamera.lookAt(target);
+            mirrorCamera.far = camera.far; // Used in WebGLBackground
+            mirrorCamera.updateMatrixWorld();
+            mirrorCamera.projectionMatrix.copy(camera.projectionMatrix);
+
+            textureMatrix.set(
+                0.5, 0.0, 0.0, 0.5,
+                0.0, 0.5, 0.0, 0.5,
+                0.0, 0.0, 0.5, 0.5,
+                0.0, 0.0, 0.0, 1.0
+            );
+            textureMatrix.multiply(mirrorCamera.projectionMatrix).multiply(mirrorCamera.matrixWorldInverse);
+
+            // Oblique near plane on the mirror, so nothing below the surface is reflected
+            // (http://www.terathon.com/code/oblique.html)
+            mirrorPlane.setFromNormalAndCoplanarPoint(normal, mirrorWorldPosition).applyMatrix4(mirrorCamera.matrixWorldInverse);
+            clipPlane.set(mirrorPlane.normal.x, mirrorPlane.normal.y, mirrorPlane.normal.z, mirrorPlane.constant);
+            const projection = mirrorCamera.projectionMatrix.elements;
+            q.x = (Math.sign(clipPlane.x) + projection[8]) / projection[0];
+            q.y = (Math.sign(clipPlane.y) + projection[9]) / projection[5];
+            q.z = -1.0;
+            q.w = (1.0 + projection[10]) / projection[14];
+            clipPlane.multiplyScalar(2.0 / clipPlane.dot(q));
+            projection[2] = clipPlane.x;
+            projection[6] = clipPlane.y;
+            projection[10] = clipPlane.z + 1.0 - clipBias;
+            projection[14] = clipPlane.w;
+
+            eye.setFromMatrixPosition(camera.matrixWorld);
+
+            const currentRenderTarget = renderer.getRenderTarget();
+            const currentXrEnabled = renderer.xr.enabled;
+            const currentShadowAutoUpdate = renderer.shadowMap.autoUpdate;
+
+            this.visible = false;
+            renderer.xr.enabled = false; // Avoid camera modification and recursion
+            renderer.shadowMap.autoUpdate = false; // Shadows are already current for this frame
+            renderer.setRenderTarget(this.reflectionTarget);
+            renderer.state.buffers.depth.setMask(true); // Depth must be writable to clear it (three.js #18897)
+            if (renderer.autoClear === false) renderer.clear();
+            renderer.render(scene, mirrorCamera);
+            this.visible = true;
+
+            renderer.xr.enabled = currentXrEnabled;
+            renderer.shadowMap.autoUpdate = currentShadowAutoUpdate;
+            renderer.setRenderTarget(currentRenderTarget);
+
+            if (camera.viewport !== undefined) renderer.state.viewport(camera.viewport);
+        };
+    }
+}
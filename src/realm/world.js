@@ -0,0 +1,738 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { textureManifest } from '../assetManifest.js';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+
+// World: renderer, scene, camera and post-processing, graphics quality, the loading screen and
+// asset loading, and the book environment. The first subsystem createRealm builds; the others
+// add their objects to its scene.
+
+export function createWorld(realm) {
+    const { root, sceneConfig, safeMode } = realm;
+
+    // Cinematic Parameters
+    const cinematicParams = { ...sceneConfig.cinematic }; // bloomStrength, bloomRadius, bloomThreshold, vignetteIntensity, saturation, contrast
+
+    // Vignette + Color Grading Shader
+    const CinematicShader = {
+        uniforms: {
+            'tDiffuse': { value: null },
+            'vignetteIntensity': { value: 0.4 },
+            'saturation': { value: 1.1 },
+            'contrast': { value: 1.05 },
+            'time': { value: 0.0 },
+            'flash': { value: 0.0 } // Lightning (see updateWeather)
+        },
+        vertexShader: `
+            varying vec2 vUv;
+            void main() {
+                vUv = uv;
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }
+        `,
+        fragmentShader: `
+            uniform sampler2D tDiffuse;
+            uniform float vignetteIntensity;
+            uniform float saturation;
+            uniform float contrast;
+            uniform float time;
+            uniform float flash;
+            varying vec2 vUv;
+            
+            void main() {
+                vec4 color = texture2D(tDiffuse, vUv);
+                
+                // Lightning flash - cold white, strongest on already bright areas
+                color.rgb += flash * vec3(0.75, 0.8, 1.0) * (0.35 + 0.65 * color.rgb);
+                
+                // Vignette
+                vec2 center = vUv - 0.5;
+                float dist = length(center);
+                float vignette = 1.0 - smoothstep(0.3, 0.9, dist * vignetteIntensity * 2.0);
+                color.rgb *= vignette;
+                
+                // Saturation
+                float gray = dot(color.rgb, vec3(0.299, 0.587, 0.114));
+                color.rgb = mix(vec3(gray), color.rgb, saturation);
+                
+                // Contrast
+                color.rgb = (color.rgb - 0.5) * contrast + 0.5;
+                
+                // Subtle warm tint for golden hour
+                color.r *= 1.02;
+                color.b *= 0.97;
+                
+                // Film grain (very subtle)
+                float grain = fract(sin(dot(vUv * time, vec2(12.9898, 78.233))) * 43758.5453);
+                color.rgb += (grain - 0.5) * 0.015;
+                
+                gl_FragColor = color;
+            }
+        `
+    };
+
+    // Setup
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(0xd4c4b0); // Warmer background
+    scene.fog = new THREE.FogExp2(0xe8d8c8, 0.008); // Thicker warm fog for cinematic depth
+
+    const camera = new THREE.PerspectiveCamera(75, root.clientWidth / Math.max(1, root.clientHeight), 0.1, 1000);
+    camera.position.set(0, 0.5, 1.5); // Closer to the small character
+    camera.rotation.order = 'YXZ'; // CRITICAL: Ensures Yaw (Y) is applied before Pitch (X) to prevent rolling/flipping
+
+    // --- GRAPHICS QUALITY ---
+    // Presets trading looks for frame rate. 'auto' guesses a tier from the GPU name, then confirms it
+    // with a short benchmark once the world has loaded and remembers the result. Everything applies
+    // live except the water reflection size, which is fixed when the water is built (next load).
+    const qualityTiers = {
+        low:    { name: 'Low',    resolutionScale: 0.75, maxPixelRatio: 1, msaa: 0, shadowMapSize: 1024, bloom: false, foamAmount: 3000,  mistAmount: 1500, reflectionSize: 256 },
+        medium: { name: 'Medium', resolutionScale: 0.85, maxPixelRatio: 1, msaa: 0, shadowMapSize: 2048, bloom: true,  foamAmount: 6000,  mistAmount: 3000, reflectionSize: 512 },
+        high:   { name: 'High',   resolutionScale: 1.0,  maxPixelRatio: 1, msaa: 4, shadowMapSize: 4096, bloom: true,  foamAmount: 9000,  mistAmount: 5000, reflectionSize: 512 },
+        ultra:  { name: 'Ultra',  resolutionScale: 1.0,  maxPixelRatio: 2, msaa: 4, shadowMapSize: 8192, bloom: true,  foamAmount: 12000, mistAmount: 6000, reflectionSize: 1024 }
+    };
+    const qualityTierOrder = ['low', 'medium', 'high', 'ultra'];
+
+    const qualitySettings = {
+        tier: 'auto',            // 'auto' or a qualityTiers key
+        detected: null,          // Tier the benchmark settled on (saved, so it only runs once)
+        dynamicResolution: false,
+        targetFps: 60
+    };
+
+    const quality = {
+        storageKey: 'paladin-graphics',
+        active: 'high',          // Tier in effect
+        gpu: '',                 // Unmasked renderer string, when the browser exposes it
+        dynamicScale: 1,         // Dynamic resolution factor on top of the tier's resolutionScale
+        minDynamicScale: 0.5,
+        fpsFrames: 0,
+        fpsTime: 0,
+        benchmark: { running: false, warmup: 30, frames: 120, samples: [] }
+    };
+    loadQualitySettings();
+
+    // No context MSAA: the canvas only receives the final full-screen pass, so anti-aliasing is done
+    // on the composer's multisampled render targets instead (per tier, see applyQualityTier)
+    const renderer = new THREE.WebGLRenderer({ antialias: false });
+    renderer.setSize(root.clientWidth, root.clientHeight);
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    renderer.outputColorSpace = THREE.SRGBColorSpace; // Important for correct color rendering
+    renderer.toneMapping = THREE.ACESFilmicToneMapping;
+    renderer.toneMappingExposure = 1.2; // Cinematic exposure
+    root.appendChild(renderer.domElement);
+
+    quality.active = resolveQualityTier();
+    quality.benchmark.running = qualitySettings.tier === 'auto' && !qualitySettings.detected;
+
+    // --- Post-Processing Setup (SSAO) ---
+    const composer = new EffectComposer(renderer);
+
+    const renderPass = new RenderPass(scene, camera);
+    composer.addPass(renderPass);
+
+    // Cinematic Bloom Pass
+    const bloomPass = new UnrealBloomPass(
+        new THREE.Vector2(root.clientWidth, root.clientHeight),
+        cinematicParams.bloomStrength,
+        cinematicParams.bloomRadius,
+        cinematicParams.bloomThreshold
+    );
+    composer.addPass(bloomPass);
+
+    // Cinematic Vignette + Color Grading Pass
+    const cinematicPass = new ShaderPass(CinematicShader);
+    cinematicPass.uniforms['vignetteIntensity'].value = cinematicParams.vignetteIntensity;
+    cinematicPass.uniforms['saturation'].value = cinematicParams.saturation;
+    cinematicPass.uniforms['contrast'].value = cinematicParams.contrast;
+    composer.addPass(cinematicPass);
+
+    const outputPass = new OutputPass();
+    composer.addPass(outputPass);
+
+    // --- LOADING SCREEN ---
+    // Models, animation clips, textures and sounds are all loaded through loadTracked(), which lists
+    // each one on the loading screen with its own progress. Required assets (book, Paladin, clips)
+    // must load before the world can be entered; optional ones (sounds, textures with a fallback)
+    // are only reported. Safe mode (options.safeMode) skips the optional extras: emitter and
+    // ambience sounds. The screen's markup comes with the realm (realm.js).
+    const loadingAssets = []; // { label, optional, status, progress, retry, row }
+    const loadingState = {
+        ready: false // Start screen shown - every required asset is in
+    };
+
+    const retryButton = root.querySelector('.retry-button');
+    retryButton.addEventListener('click', retryFailedAssets);
+    let disposed = false; // Loads that finish after dispose() are dropped
+
+    // --- ASSETS ---
+    // Bundled textures from the asset manifest, tracked on the loading screen like the models further
+    // down; a texture that fails to load gets a generated stand-in instead of a black surface.
+    const loadingManager = new THREE.LoadingManager();
+    const textureLoader = new THREE.TextureLoader(loadingManager);
+    const textureFallbacks = {
+        waterNormals: createWaterNormalsCanvas
+    };
+    const textures = loadTextureManifest();
+
+    // --- ENVIRONMENT ---
+    let envMixer;  // Plays the book's own clips (windmill, water wheel...)
+    let terrain;   // The book, once loaded
+    const clock = new THREE.Clock();
+
+    const spawnPosition = new THREE.Vector3().fromArray(sceneConfig.spawn.position); // Moved by the layout / level editor
+
+    let gameActive = false; // Set once the player walks in from the start screen
+
+    // Loaders (the manager itself is created with the texture manifest above)
+    const gltfLoader = new GLTFLoader(loadingManager);
+
+    // Load Environment (Book)
+    // Note: We need to see how big the book is. Maybe we need to scale it up.
+    loadTracked(gltfLoader, sceneConfig.models.environment.url, { label: 'Book environment' }, (gltf) => {
+        const model = gltf.scene;
+        // model.scale.set(10, 10, 10); // Books are usually small, so scale up to be a "land"
+
+        
+        // Auto-center and get size to determine scale
+        const box = new THREE.Box3().setFromObject(model);
+        const size = box.getSize(new THREE.Vector3());
+        const center = box.getCenter(new THREE.Vector3());
+        
+        // Scale up if it's too small (assuming we want a walkable area of ~20 units)
+        const maxDim = Math.max(size.x, size.y, size.z);
+        
+        // Target Size: How big do you want the land to be? (models.environment.size in the scene file)
+        // If the character is 1.8 units tall, a decent small "level" is 100-200 units.
+        const targetSize = sceneConfig.models.environment.size;
+
+        let scaleFactor = 1;
+        // We remove the "if (maxDim < 20)" check and just enforce the target size
+        // This ensures the book is ALWAYS targetSize units wide, regardless of its original size.
+        scaleFactor = targetSize / maxDim;
+        
+        model.scale.set(scaleFactor, scaleFactor, scaleFactor);
+        // -------------------
+        
+        // 2. Update Box AFTER scaling to get correct world dimensions
+        model.updateMatrixWorld(true);
+        box.setFromObject(model);
+        
+        const newCenter = box.getCenter(new THREE.Vector3());
+        
+        // 3. Center X and Z, but put Bottom (min.y) at 0
+        model.position.x = -newCenter.x;
+        model.position.z = -newCenter.z;
+        model.position.y = -box.min.y;
+
+        model.traverse((child) => {
+            if (child.isMesh) {
+                child.receiveShadow = true;
+                child.castShadow = true;
+            }
+
+            // Windmill, watermill and flag loops, node-attached emitters (deer...)
+            realm.audio.attachModelSounds(child);
+        });
+
+        // Removed Debug Helpers
+        
+        scene.add(model);
+        terrain = model;
+        realm.player.initPhysics();
+        realm.lighting.collectWetMaterials(model);
+        realm.lighting.applyCloudShadows(model);
+
+        // Check for environment animations (Windmill, Water, etc.)
+        if (gltf.animations && gltf.animations.length > 0) {
+            envMixer = new THREE.AnimationMixer(model);
+            gltf.animations.forEach((clip) => {
+                envMixer.clipAction(clip).play();
+            });
+        }
+
+    });
+
+    // --- GRAPHICS QUALITY IMPLEMENTATION FUNCTIONS ---
+    function loadQualitySettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(quality.storageKey));
+            if (saved) {
+                if (saved.tier === 'auto' || qualityTiers[saved.tier]) qualitySettings.tier = saved.tier;
+                if (qualityTiers[saved.detected]) qualitySettings.detected = saved.detected;
+                if (typeof saved.dynamicResolution === 'boolean') qualitySettings.dynamicResolution = saved.dynamicResolution;
+                if (typeof saved.targetFps === 'number') qualitySettings.targetFps = saved.targetFps;
+            }
+        } catch (error) {
+            console.warn('Ignoring unreadable graphics settings:', error);
+        }
+    }
+
+    function saveQualitySettings() {
+        try {
+            localStorage.setItem(quality.storageKey, JSON.stringify(qualitySettings));
+        } catch (error) {
+            console.warn('Could not save graphics settings:', error);
+        }
+    }
+
+    function resolveQualityTier() {
+        if (qualitySettings.tier !== 'auto') return qualitySettings.tier;
+        return qualitySettings.detected || guessQualityTier();
+    }
+
+    // First guess before any frame has been drawn, from the GPU name (when the browser exposes it)
+    // and the device. The benchmark then corrects it by at most a tier or two.
+    function guessQualityTier() {
+        const gl = renderer.getContext();
+        const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+        quality.gpu = debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : '';
+        const gpu = quality.gpu.toLowerCase();
+
+        if (/swiftshader|llvmpipe|software/.test(gpu)) return 'low'; // No GPU at all
+        // Phones, tablets and integrated graphics (isMobile isn't defined this early)
+        const touchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+        if (touchDevice || /mali|adreno|powervr|apple gpu|intel/.test(gpu)) return 'medium';
+        if (navigator.deviceMemory && navigator.deviceMemory < 4) return 'medium';
+        return 'high';
+    }
+
+    // Lighting and water exist by the time this runs (createRealm applies the first tier last)
+    function applyQualityTier(name) {
+        const tier = qualityTiers[name];
+        const { dirLight } = realm.lighting;
+        const { riverParams, updateFoamCount, updateMistCount } = realm.water;
+        quality.active = name;
+
+        // Shadow map is reallocated at the new size on the next render
+        const shadowSize = Math.min(tier.shadowMapSize, renderer.capabilities.maxTextureSize);
+        if (dirLight.shadow.mapSize.x !== shadowSize) {
+            dirLight.shadow.mapSize.set(shadowSize, shadowSize);
+            if (dirLight.shadow.map) {
+                dirLight.shadow.map.dispose();
+                dirLight.shadow.map = null;
+            }
+        }
+
+        bloomPass.enabled = tier.bloom;
+
+        // Sample count takes effect once the targets are rebuilt (dispose frees the old ones)
+        if (composer.renderTarget1.samples !== tier.msaa) {
+            [composer.renderTarget1, composer.renderTarget2].forEach((target) => {
+                target.samples = tier.msaa;
+                target.dispose();
+            });
+        }
+
+        if (riverParams.foamAmount !== tier.foamAmount) {
+            riverParams.foamAmount = tier.foamAmount;
+            updateFoamCount();
+        }
+        if (riverParams.mistAmount !== tier.mistAmount) {
+            riverParams.mistAmount = tier.mistAmount;
+            updateMistCount();
+        }
+
+        applyRenderResolution();
+    }
+
+    function applyRenderResolution() {
+        const tier = qualityTiers[quality.active];
+        const pixelRatio = Math.min(window.devicePixelRatio || 1, tier.maxPixelRatio) * tier.resolutionScale * quality.dynamicScale;
+        if (renderer.getPixelRatio() === pixelRatio) return;
+        renderer.setPixelRatio(pixelRatio);
+        composer.setPixelRatio(pixelRatio);
+    }
+
+    // Fits the view to the realm's element (createRealm watches its size)
+    function resize() {
+        const width = root.clientWidth;
+        const height = root.clientHeight;
+        if (width === 0 || height === 0) return; // Hidden - keep the last size
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+        renderer.setSize(width, height);
+        composer.setSize(width, height); // Update Composer
+        applyRenderResolution(); // devicePixelRatio changes when the window moves to another screen
+    }
+
+    // 'auto', 'low', 'medium', 'high' or 'ultra' (graphics button / GUI)
+    function setQualityTier(tier) {
+        qualitySettings.tier = tier;
+        saveQualitySettings();
+        applyQualityTier(resolveQualityTier());
+        if (tier === 'auto' && !qualitySettings.detected) startQualityBenchmark();
+        realm.ui.updateGraphicsButton();
+    }
+
+    function startQualityBenchmark() {
+        qualitySettings.detected = null;
+        quality.benchmark.running = true;
+        quality.benchmark.warmup = 30;
+        quality.benchmark.samples = [];
+        realm.ui.updateGraphicsButton();
+    }
+
+    // Times the first frames after loading (skipping the warm-up, where shaders compile and textures
+    // upload) and moves the guessed tier down when they're slow, or one up when there's headroom.
+    function updateQualityBenchmark(frameTime) {
+        const benchmark = quality.benchmark;
+        if (!benchmark.running || !loadingState.ready) return;
+        if (benchmark.warmup > 0) {
+            benchmark.warmup--;
+            return;
+        }
+
+        benchmark.samples.push(frameTime * 1000);
+        if (benchmark.samples.length < benchmark.frames) return;
+        benchmark.running = false;
+
+        // Median ignores the odd hitch (GC, asset decode)
+        const sorted = benchmark.samples.slice().sort((a, b) => a - b);
+        const medianMs = sorted[Math.floor(sorted.length / 2)];
+        let index = qualityTierOrder.indexOf(quality.active);
+        if (medianMs > 1000 / 24) index -= 2;
+        else if (medianMs > 1000 / 40) index -= 1;
+        else if (medianMs < 1000 / 58) index += 1;
+        index = THREE.MathUtils.clamp(index, 0, qualityTierOrder.length - 1);
+
+        qualitySettings.detected = qualityTierOrder[index];
+        saveQualitySettings();
+        if (qualitySettings.tier === 'auto') applyQualityTier(qualitySettings.detected);
+        realm.ui.updateGraphicsButton();
+    }
+
+    // Measures FPS once a second and scales the render resolution to hold the target frame rate:
+    // quickly down when it misses, slowly back up when there's headroom.
+    function updateDynamicResolution(frameTime) {
+        if (!qualitySettings.dynamicResolution || !gameActive) return;
+        quality.fpsFrames++;
+        quality.fpsTime += frameTime;
+        if (quality.fpsTime < 1.0) return;
+
+        const fps = quality.fpsFrames / quality.fpsTime;
+        quality.fpsFrames = 0;
+        quality.fpsTime = 0;
+
+        const target = qualitySettings.targetFps;
+        if (fps < target * 0.9) {
+            quality.dynamicScale = Math.max(quality.minDynamicScale, quality.dynamicScale - 0.1);
+        } else if (fps >= target * 0.97) {
+            quality.dynamicScale = Math.min(1, quality.dynamicScale + 0.05);
+        }
+        applyRenderResolution();
+    }
+
+    function setDynamicResolution(enabled) {
+        qualitySettings.dynamicResolution = enabled;
+        quality.dynamicScale = 1;
+        quality.fpsFrames = 0;
+        quality.fpsTime = 0;
+        saveQualitySettings();
+        applyRenderResolution();
+    }
+
+    // --- LOADING SCREEN IMPLEMENTATION FUNCTIONS ---
+
+    // loader.load() with a row on the loading screen. Options: label, optional, fallback (called
+    // instead of reporting a failure - the asset then counts as handled). Returns what load() returns.
+    function loadTracked(loader, url, options, onLoad) {
+        const asset = {
+            label: options.label || decodeURI(url.split('/').pop()),
+            optional: !!options.optional,
+            status: 'loading',
+            progress: 0,
+            retry: null,
+            row: null
+        };
+        loadingAssets.push(asset);
+
+        const start = () => {
+            asset.status = 'loading';
+            asset.progress = 0;
+            updateLoadingScreen();
+            return loader.load(url, (result) => {
+                if (disposed) return; // Torn down while it loaded
+                onLoad(result); // May start more tracked loads (the Paladin's clips) before we settle
+                asset.status = 'loaded';
+                asset.progress = 1;
+                updateLoadingScreen();
+            }, (event) => {
+                if (event && event.lengthComputable && event.total > 0) {
+                    asset.progress = event.loaded / event.total;
+                    updateLoadingScreen();
+                }
+            }, (error) => {
+                if (disposed) return;
+                if (options.fallback) {
+                    options.fallback();
+                    asset.status = 'fallback';
+                } else {
+                    console.error(`Failed to load ${asset.label} (${url}):`, error);
+                    asset.status = 'failed';
+                }
+                updateLoadingScreen();
+            });
+        };
+        asset.retry = start;
+        return start();
+    }
+
+    function updateLoadingScreen() {
+        const assets = loadingAssets;
+        const pending = assets.filter(asset => asset.status === 'loading');
+
+        // Overall bar: every asset weighs the same, in-flight ones count by their own progress
+        const loadingBar = root.querySelector('.loading-bar');
+        if (loadingBar && assets.length > 0) {
+            const progress = assets.reduce((sum, asset) => sum + (asset.status === 'loading' ? asset.progress : 1), 0);
+            loadingBar.style.width = (progress / assets.length) * 100 + '%';
+        }
+
+        const loadingText = root.querySelector('.loading-text');
+        if (loadingText) {
+            const current = pending[0];
+            loadingText.textContent = current
+                ? `Loading ${current.label}... (${assets.length - pending.length} / ${assets.length})`
+                : 'Loading Resources...';
+            if (safeMode) loadingText.textContent += ' - Safe Mode';
+        }
+
+        const list = root.querySelector('.loading-assets');
+        if (list) assets.forEach(asset => renderAssetRow(asset, list));
+
+        if (pending.length > 0) return;
+
+        // Everything settled: report failures, open the gate if nothing required is missing
+        const failed = assets.filter(asset => asset.status === 'failed');
+        showLoadingErrors(failed);
+        if (!failed.some(asset => !asset.optional)) showStartScreen();
+    }
+
+    function renderAssetRow(asset, list) {
+        if (!asset.row) {
+            asset.row = document.createElement('li');
+            asset.row.append(document.createElement('span'), document.createElement('span'));
+            asset.row.firstChild.textContent = asset.label;
+            list.appendChild(asset.row);
+        }
+        const status = {
+            loading: `${Math.round(asset.progress * 100)}%`,
+            loaded: '✓',
+            failed: '✗',
+            fallback: 'fallback'
+        };
+        asset.row.className = asset.status;
+        asset.row.lastChild.textContent = status[asset.status];
+    }
+
+    function showLoadingErrors(failed) {
+        const panel = root.querySelector('.loading-error');
+        const list = root.querySelector('.loading-error-list');
+        if (!panel || !list) return;
+
+        panel.style.display = failed.length > 0 ? 'block' : 'none';
+        list.replaceChildren(...failed.map((asset) => {
+            const item = document.createElement('li');
+            item.textContent = asset.optional ? `${asset.label} (optional)` : asset.label;
+            return item;
+        }));
+    }
+
+    function retryFailedAssets() {
+        loadingAssets.forEach((asset) => {
+            if (asset.status === 'failed') asset.retry();
+        });
+    }
+
+    // Swaps the progress for the Enter button (once)
+    function showStartScreen() {
+        if (loadingState.ready) return;
+        loadingState.ready = true;
+
+        const loaderContainer = root.querySelector('.loader-container');
+        const startContainer = root.querySelector('.start-container');
+        const enterButton = root.querySelector('.enter-button');
+        const loadingScreen = root.querySelector('.loading-screen');
+
+        if (loaderContainer) loaderContainer.style.display = 'none';
+        if (startContainer) startContainer.style.display = 'flex';
+
+        if (enterButton) {
+            enterButton.addEventListener('click', () => {
+                // Request Fullscreen on Mobile (just the realm, not the page around it)
+                if (realm.input.isMobile) {
+                    if (root.requestFullscreen) {
+                        root.requestFullscreen();
+                    } else if (root.webkitRequestFullscreen) { /* Safari */
+                        root.webkitRequestFullscreen();
+                    } else if (root.msRequestFullscreen) { /* IE11 */
+                        root.msRequestFullscreen();
+                    }
+                }
+                root.focus(); // Keyboard input goes to the focused realm (see input.js)
+
+                // Resume Audio Context
+                if (realm.audio.listener.context.state === 'suspended') {
+                    realm.audio.listener.context.resume().then(() => {
+                        console.log('AudioContext resumed');
+                    });
+                }
+
+                // Hide loading screen
+                if (loadingScreen) {
+                    loadingScreen.style.opacity = '0';
+                    realm.timeout(() => {
+                        loadingScreen.remove();
+                        gameActive = true; // Start game loop logic
+
+                        // Show mobile controls if on mobile
+                        const controls = root.querySelector('.mobile-controls');
+                        if (controls && realm.input.isMobile) {
+                            controls.style.display = 'flex';
+                        }
+                    }, 1500);
+                }
+            });
+        }
+
+        // Initialize the default preset (including audio) when loading is done
+        realm.lighting.applyPreset(realm.lighting.currentPreset);
+    }
+
+    // --- ASSET IMPLEMENTATION FUNCTIONS ---
+
+    // Starts every texture in the manifest. The returned textures are usable right away; the image
+    // arrives later (or the fallback replaces it in place, so materials never need rebinding).
+    function loadTextureManifest() {
+        const loaded = {};
+        Object.entries(textureManifest).forEach(([key, entry]) => {
+            const fallback = textureFallbacks[entry.fallback];
+            const texture = loadTracked(textureLoader, entry.url, {
+                label: `Texture: ${key}`,
+                optional: true,
+                fallback: fallback && (() => {
+                    console.warn(`Texture ${entry.url} failed to load, using a generated ${entry.fallback} map`);
+                    texture.image = fallback();
+                    texture.needsUpdate = true;
+                })
+            }, () => {});
+            if (entry.repeat) texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+            loaded[key] = texture;
+        });
+        return loaded;
+    }
+
+    // Tileable ripple normal map. Every wave has whole-number frequencies across the tile, so the
+    // edges wrap seamlessly; slopes come straight from the wave derivatives.
+    function createWaterNormalsCanvas(size = 256) {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = size;
+        const context = canvas.getContext('2d');
+        const image = context.createImageData(size, size);
+
+        const waves = [];
+        while (waves.length < 48) {
+            const kx = Math.round((Math.random() * 2 - 1) * 16);
+            const ky = Math.round((Math.random() * 2 - 1) * 16);
+            const k = Math.hypot(kx, ky);
+            if (k < 3) continue; // Long swells just tilt the whole tile
+            waves.push({ x: kx / k, y: ky / k, fx: kx * Math.PI * 2 / size, fy: ky * Math.PI * 2 / size, phase: Math.random() * Math.PI * 2 });
+        }
+
+        const bump = 0.09;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                let slopeX = 0;
+                let slopeY = 0;
+                for (const wave of waves) {
+                    const c = Math.cos(wave.fx * x + wave.fy * y + wave.phase);
+                    slopeX += wave.x * c;
+                    slopeY += wave.y * c;
+                }
+                const nx = -slopeX * bump;
+                const ny = -slopeY * bump;
+                const length = Math.hypot(nx, ny, 1);
+                const i = (y * size + x) * 4;
+                image.data[i] = (nx / length * 0.5 + 0.5) * 255;
+                image.data[i + 1] = (ny / length * 0.5 + 0.5) * 255;
+                image.data[i + 2] = (1 / length * 0.5 + 0.5) * 255;
+                image.data[i + 3] = 255;
+            }
+        }
+        context.putImageData(image, 0, 0);
+        return canvas;
+    }
+
+    // --- TEARDOWN ---
+
+    // Last to go (see createRealm): frees the GPU side of whatever is still in the scene, the
+    // post-processing targets and finally the WebGL context itself
+    function dispose() {
+        disposed = true;
+        retryButton.removeEventListener('click', retryFailedAssets); // The button outlives a world whose build failed
+        if (envMixer) envMixer.stopAllAction();
+        scene.traverse((object) => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.isLight || object.isInstancedMesh) object.dispose(); // Shadow maps, instance buffers
+            if (object.skeleton) object.skeleton.dispose();
+            [].concat(object.material || []).forEach(disposeMaterial);
+        });
+        Object.values(textures).forEach(texture => texture.dispose());
+
+        composer.passes.forEach(pass => pass.dispose());
+        composer.dispose();
+        renderer.dispose();
+        renderer.forceContextLoss(); // Browsers cap live contexts; don't wait for GC to give this one back
+        renderer.domElement.remove();
+    }
+
+    // Material plus every texture it holds, as a property (map, normalMap...) or a shader uniform
+    function disposeMaterial(material) {
+        Object.values(material).forEach((value) => {
+            if (value && value.isTexture) value.dispose();
+        });
+        Object.values(material.uniforms || {}).forEach(({ value }) => {
+            if (value && value.isTexture) value.dispose();
+        });
+        material.dispose();
+    }
+
+    return {
+        cinematicParams,
+        scene,
+        camera,
+        qualityTiers,
+        qualityTierOrder,
+        qualitySettings,
+        quality,
+        renderer,
+        composer,
+        bloomPass,
+        cinematicPass,
+        loadingState,
+        loadingManager,
+        textures,
+        get envMixer() { return envMixer; },
+        get terrain() { return terrain; },
+        clock,
+        spawnPosition,
+        get gameActive() { return gameActive; },
+        saveQualitySettings,
+        guessQualityTier,
+        applyQualityTier,
+        applyRenderResolution,
+        resize,
+        setQualityTier,
+        startQualityBenchmark,
+        updateQualityBenchmark,
+        updateDynamicResolution,
+        setDynamicResolution,
+        loadTracked,
+        dispose
+    };
+}
@@ -0,0 +1,232 @@
+// Scene description: everything that makes this book *this* scene - models, spawn, river,
+// post-processing, lighting presets and the layout the level editor edits - lives in one JSON
+// file (public/scene.json, or ?scene=other.json). createRealm (realm.js) loads and validates it
+// before building anything, so the engine can host a different book without code changes, and a
+// broken file is listed on the loading screen instead of half-building the world.
+//
+//   version          SCENE_VERSION; bump it (and migrate) when the format changes
+//   models           environment { url, size } - the book is scaled so its largest side is `size`
+//                    character { url, animationPath, scale } - animation clips load from animationPath
+//   spawn            { position [x, y, z] } - also where falling off the book takes you back to
+//   river            speed, waveHeight, foamSize and the centerline points, upstream -> downstream:
+//                      position   [x, y, z]; y is the water surface height there
+//                      width      bank-to-bank width of the water surface at this point
+//                      drop       (optional) waterfall height - the water pours over an edge here
+//   cinematic        bloom, vignette and color grading (bloomStrength, bloomRadius, ...)
+//   lightingPresets  goldenHour, noon, sunset and night - the time-of-day keyframes. Colors are
+//                    '#rrggbb' strings. The sun and moon follow the day/night arc (lighting.js), so
+//                    a preset's sky only sets turbidity, rayleigh and the Mie terms
+//   foamMarkers      [{ position [x, z], radius }] - foam spawns around these
+//   emitters         [{ id, sound, position }] - sound is an emitterSounds entry (audioEmitters.js)
+//   triggerZones     [{ id, position, size, emitter }] - box that plays `emitter` when entered
+
+import { emitterSounds } from './audioEmitters.js';
+
+export const SCENE_VERSION = 1;
+
+// Schema nodes: { type: 'number' | 'string' | 'color' | 'vector' | 'array' | 'object' }
+//   vector   length          array   items          object   properties (missing = required)
+//   string   oneOf           optional: true on any property
+const number = { type: 'number' };
+const color = { type: 'color' };
+const vector3 = { type: 'vector', length: 3 };
+const numbers = (...keys) => ({ type: 'object', properties: Object.fromEntries(keys.map(key => [key, number])) });
+
+const presetSchema = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        sky: numbers('turbidity', 'rayleigh', 'mieCoefficient', 'mieDirectionalG'),
+        fog: { type: 'object', properties: { color, density: number } },
+        background: color,
+        dirLight: { type: 'object', properties: { color, intensity: number } },
+        hemiLight: { type: 'object', properties: { skyColor: color, groundColor: color, intensity: number } },
+        rimLight: { type: 'object', properties: { color, intensity: number } },
+        ambient: { type: 'object', properties: { color, intensity: number } },
+        bloom: numbers('strength', 'threshold'),
+        exposure: number,
+        waterColor: color
+    }
+};
+
+export const sceneSchema = {
+    type: 'object',
+    properties: {
+        models: {
+            type: 'object',
+            properties: {
+                environment: { type: 'object', properties: { url: { type: 'string' }, size: number } },
+                character: { type: 'object', properties: { url: { type: 'string' }, animationPath: { type: 'string' }, scale: number } }
+            }
+        },
+        spawn: { type: 'object', properties: { position: vector3 } },
+        river: {
+            type: 'object',
+            properties: {
+                speed: number,
+                waveHeight: number,
+                foamSize: number,
+                points: {
+                    type: 'array',
+                    items: { type: 'object', properties: { position: vector3, width: number, drop: { ...number, optional: true } } }
+                }
+            }
+        },
+        cinematic: numbers('bloomStrength', 'bloomRadius', 'bloomThreshold', 'vignetteIntensity', 'saturation', 'contrast'),
+        lightingPresets: {
+            type: 'object',
+            properties: { goldenHour: presetSchema, noon: presetSchema, sunset: presetSchema, night: presetSchema }
+        },
+        foamMarkers: {
+            type: 'array',
+            items: { type: 'object', properties: { position: { type: 'vector', length: 2 }, radius: number } }
+        },
+        emitters: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    sound: { type: 'string', oneOf: Object.keys(emitterSounds) },
+                    position: vector3
+                }
+            }
+        },
+        triggerZones: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { id: { type: 'string' }, position: vector3, size: vector3, emitter: { type: 'string' } }
+            }
+        }
+    }
+};
+
+// Resolves with the validated config. Rejects with an Error whose `problems` lists every issue
+// found, one readable line each.
+export function loadSceneConfig(url) {
+    return fetch(url)
+        .then((response) => {
+            if (!response.ok) throw new Error(`${url}: ${response.status} ${response.statusText}`);
+            return response.text();
+        })
+        .then((text) => {
+            let config;
+            try {
+                config = JSON.parse(text);
+            } catch (error) {
+                throw new Error(`${url} is not valid JSON (${error.message})`);
+            }
+            const problems = validateSceneConfig(config);
+            if (problems.length > 0) {
+                const error = new Error(`${url} has ${problems.length} problem(s)`);
+                error.problems = problems;
+                throw error;
+            }
+            return config;
+        });
+}
+
+// Returns a list of problems ('river.points[2].width: expected a number, got "wide"'), empty if
+// the config can be used
+export function validateSceneConfig(config) {
+    const problems = [];
+    if (!isObject(config)) return ['The scene description must be a JSON object'];
+
+    if (typeof config.version === 'number' && config.version > SCENE_VERSION) {
+        return [`version ${config.version} is newer than this app understands (${SCENE_VERSION})`];
+    }
+    if (config.version !== SCENE_VERSION) problems.push(`version: expected ${SCENE_VERSION}, got ${describe(config.version)}`);
+
+    validateNode(config, sceneSchema, '', problems);
+    if (problems.length > 0) return problems;
+
+    // Rules the schema can't express
+    if (config.river.points.length < 2) problems.push('river.points: needs at least 2 points');
+    const ids = new Set();
+    [...config.emitters, ...config.triggerZones].forEach((entry) => {
+        if (ids.has(entry.id)) problems.push(`id "${entry.id}" is used more than once (emitters and triggerZones share ids)`);
+        ids.add(entry.id);
+    });
+    const emitterIds = new Set(config.emitters.map(emitter => emitter.id));
+    config.triggerZones.forEach((zone, i) => {
+        if (!emitterIds.has(zone.emitter)) problems.push(`triggerZones[${i}].emitter: no emitter with id "${zone.emitter}"`);
+    });
+    return problems;
+}
+
+// Problems of `value` against any schema node (parts of sceneSchema, or a schema built from them)
+export function validateSchema(value, schema) {
+    const problems = [];
+    validateNode(value, schema, '', problems);
+    return problems;
+}
+
+// Reverse of withHexColors for data shaped like `schema`: hex numbers back to '#rrggbb' strings
+export function withColorStrings(value, schema) {
+    if (schema.type === 'color' && typeof value === 'number') return `#${value.toString(16).padStart(6, '0')}`;
+    if (schema.type === 'array' && Array.isArray(value)) return value.map(item => withColorStrings(item, schema.items));
+    if (schema.type === 'object' && isObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, schema.properties[key] ? withColorStrings(v, schema.properties[key]) : structuredClone(v)]));
+    }
+    return structuredClone(value);
+}
+
+// Deep copy with every '#rrggbb' color turned into a hex number, as THREE.Color.setHex expects
+export function withHexColors(value) {
+    if (Array.isArray(value)) return value.map(withHexColors);
+    if (isObject(value)) return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, withHexColors(v)]));
+    if (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) return parseInt(value.slice(1), 16);
+    return value;
+}
+
+function validateNode(value, schema, path, problems) {
+    const fail = expected => problems.push(`${path || 'scene'}: expected ${expected}, got ${describe(value)}`);
+
+    switch (schema.type) {
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) fail('a number');
+            break;
+        case 'string':
+            if (typeof value !== 'string') fail('a string');
+            else if (schema.oneOf && !schema.oneOf.includes(value)) fail(`one of ${schema.oneOf.join(', ')}`);
+            break;
+        case 'color':
+            if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) fail('a "#rrggbb" color');
+            break;
+        case 'vector':
+            if (!Array.isArray(value) || value.length !== schema.length || !value.every(Number.isFinite)) {
+                fail(`${schema.length} numbers`);
+            }
+            break;
+        case 'array':
+            if (!Array.isArray(value)) fail('a list');
+            else value.forEach((item, i) => validateNode(item, schema.items, `${path}[${i}]`, problems));
+            break;
+        case 'object':
+            if (!isObject(value)) {
+                fail('an object');
+                break;
+            }
+            Object.entries(schema.properties).forEach(([key, property]) => {
+                const childPath = path ? `${path}.${key}` : key;
+                if (value[key] === undefined) {
+                    if (!property.optional) problems.push(`${childPath}: missing`);
+                } else {
+                    validateNode(value[key], property, childPath, problems);
+                }
+            });
+            break;
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describe(value) {
+    if (value === undefined) return 'nothing';
+    if (Array.isArray(value)) return `a list of ${value.length}`;
+    if (isObject(value)) return 'an object';
+    return JSON.stringify(value);
+}